@@ -0,0 +1,334 @@
+#!/usr/bin/env node
+// Command-line access to the election contracts, built on frontend/electionClient.js.
+// Every command prints JSON (or CSV for `results --format csv`) to stdout, so output can be
+// piped into jq or saved; errors go to stderr as { "error": { code, message } } with exit code 1.
+//
+// Run `node cli/elections.mjs help` for usage. Needs Node 20.19+ or 22.7+ and ethers v6
+// installed in the repository root (see README).
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { ethers } from 'ethers';
+import {
+  ElectionFactoryClient,
+  ElectionClient,
+  ElectionClientError,
+  VotingType,
+  VoterEligibilityMode,
+  electionInterface,
+  normalizeError,
+  generateNonce,
+  computeCommitHash
+} from '../frontend/electionClient.js';
+import { getDeployment } from '../frontend/deployments.js';
+import { multicall } from '../frontend/multicall.js';
+import { parseVoterFile, normalizeVoterAddresses, chunk, WHITELIST_BATCH_SIZE } from '../frontend/whitelistImport.js';
+import { validateElectionSettings, hasValidationErrors, toUnixSeconds } from '../frontend/electionValidation.js';
+import { readResultsSnapshot, resultsToCSV } from '../frontend/resultsExport.js';
+
+const DEFAULT_RPC_URL = 'http://127.0.0.1:8545';
+
+const USAGE = `Usage: elections <command> [arguments] [options]
+
+Commands:
+  list                                     All elections of the factory
+  create --config <file.json>              Create an election (see README for the config format)
+  candidates <election>                    Candidates of an election
+  whitelist add|remove <election> <file>   Add or remove eligible voters from a CSV, text or JSON list
+  vote <election> <candidateId>            Vote; on commit-reveal elections this commits a sealed vote
+                                           and writes the secret to --secret (to stderr when omitted),
+                                           before the transaction is sent
+  reveal <election> --secret <file.json>   Reveal a sealed vote from its secret file
+  results <election> [--format json|csv]   Results snapshot at the latest block
+  emergency-stop <election>                Stop an election immediately (owner only)
+
+Options:
+  --chain <id>           Chain to use; the RPC must serve it, and its deployment's rpcUrl is the default RPC
+  --rpc <url>            JSON-RPC endpoint (default: $ELECTIONS_RPC_URL, the --chain deployment's rpcUrl, or ${DEFAULT_RPC_URL})
+  --factory <address>    ElectionFactory address (default: the deployment for the RPC's chain)
+  --private-key <key>    Signing key (default: $PRIVATE_KEY)
+  --keystore <file>      Encrypted JSON keystore to sign with instead; password from $KEYSTORE_PASSWORD
+  --help                 Show this message
+
+Read-only commands (list, candidates, results) work without a key. With one, results are read
+as that account, so an election owner can export results that are not public yet.`;
+
+const OPTIONS = {
+  chain: { type: 'string' },
+  rpc: { type: 'string' },
+  factory: { type: 'string' },
+  'private-key': { type: 'string' },
+  keystore: { type: 'string' },
+  config: { type: 'string' },
+  secret: { type: 'string' },
+  format: { type: 'string', default: 'json' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Usage mistakes; reported like contract errors but with their own code
+const usageError = (message) => new ElectionClientError(message, { code: 'USAGE' });
+
+// JSON with bigints as decimal strings
+const toJSON = (value) =>
+  JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item), 2);
+
+const print = (value) => process.stdout.write(`${typeof value === 'string' ? value : toJSON(value)}\n`);
+
+const requireAddress = (value, label) => {
+  if (!value || !ethers.isAddress(value)) throw usageError(`Expected ${label} address, got "${value ?? ''}"`);
+  return ethers.getAddress(value);
+};
+
+const connect = async (options) => {
+  const chainDeployment = options.chain ? getDeployment(options.chain) : null;
+  if (options.chain && !chainDeployment) throw usageError(`No deployment known for chain ${options.chain}`);
+
+  const rpcUrl = options.rpc || process.env.ELECTIONS_RPC_URL || chainDeployment?.rpcUrl || DEFAULT_RPC_URL;
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const { chainId } = await provider.getNetwork().catch(error => {
+    throw new ElectionClientError(`Could not reach ${rpcUrl}`, { code: 'NETWORK', cause: error });
+  });
+  if (chainDeployment && Number(chainId) !== chainDeployment.chainId) {
+    throw usageError(`${rpcUrl} serves chain ${chainId}, not ${chainDeployment.chainId}`);
+  }
+  return { provider, chainId, deployment: getDeployment(chainId) };
+};
+
+// Signer from --keystore or --private-key / $PRIVATE_KEY, or null when none is given
+const loadSigner = async (options, provider) => {
+  if (options.keystore) {
+    const password = process.env.KEYSTORE_PASSWORD;
+    if (password === undefined) throw usageError('Set KEYSTORE_PASSWORD to unlock --keystore');
+    const wallet = await ethers.Wallet.fromEncryptedJson(await readFile(options.keystore, 'utf8'), password);
+    return wallet.connect(provider);
+  }
+  const key = options['private-key'] || process.env.PRIVATE_KEY;
+  return key ? new ethers.Wallet(key, provider) : null;
+};
+
+const requireSigner = (signer) => {
+  if (!signer) throw usageError('This command sends a transaction: pass --private-key, --keystore or set PRIVATE_KEY');
+  return signer;
+};
+
+const factoryFor = (options, { provider, chainId, deployment }, runner) => {
+  const address = options.factory || deployment?.factoryAddress;
+  if (!address) throw usageError(`No factory known for chain ${chainId}; pass --factory`);
+  return new ElectionFactoryClient({ address: requireAddress(address, 'factory'), runner: runner || provider });
+};
+
+// Wait for a submitted transaction and summarize its receipt
+const confirm = async (tx) => {
+  const receipt = await tx.wait();
+  return { transactionHash: receipt.hash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed };
+};
+
+// Enum value from its name or number, e.g. "Leaderboard" or 1
+const enumValue = (enumeration, value, label) => {
+  if (value === undefined) return undefined;
+  const resolved = typeof value === 'number' ? value : enumeration[value] ?? Number(value);
+  if (!Object.values(enumeration).includes(resolved)) {
+    throw usageError(`Unknown ${label} "${value}"; expected one of ${Object.keys(enumeration).join(', ')}`);
+  }
+  return resolved;
+};
+
+/**
+ * Election settings from a create config file. Times are ISO 8601 strings (or anything Date parses);
+ * the token balance is in whole tokens, scaled by tokenDecimals.
+ */
+const toElectionSettings = (config) => {
+  const votingType = enumValue(VotingType, config.votingType ?? 'WinnerTakesAll', 'votingType');
+  const eligibilityMode = enumValue(VoterEligibilityMode, config.eligibilityMode ?? 'OpenRegistration', 'eligibilityMode');
+  // JSON numbers lose precision past 2^53 and print large ones in exponent form, so amounts must be strings
+  if (config.minimumTokenBalance !== undefined && typeof config.minimumTokenBalance !== 'string') {
+    throw usageError('Invalid config: minimumTokenBalance must be a string, e.g. "1000" or "0.5"');
+  }
+  const minimumTokenBalance = config.minimumTokenBalance?.trim() ?? '';
+  const requiredNFTContract = typeof config.requiredNFTContract === 'string' ? config.requiredNFTContract.trim() : config.requiredNFTContract;
+
+  // Same checks the Create Election form runs, in the form's shape
+  const errors = validateElectionSettings({
+    title: config.title,
+    startTime: config.startTime,
+    endTime: config.endTime,
+    candidateDeadline: config.candidateDeadline,
+    eligibilityMode: String(eligibilityMode),
+    minimumTokenBalance,
+    tokenDecimals: String(config.tokenDecimals ?? 18),
+    requiredNFTContract
+  });
+  if (hasValidationErrors(errors)) {
+    throw usageError(`Invalid config: ${Object.entries(errors).map(([field, message]) => `${field}: ${message}`).join('; ')}`);
+  }
+
+  return {
+    title: config.title,
+    description: config.description || '',
+    startTime: toUnixSeconds(config.startTime),
+    endTime: toUnixSeconds(config.endTime),
+    candidateRegistrationDeadline: toUnixSeconds(config.candidateDeadline),
+    votingType,
+    eligibilityMode,
+    minimumTokenBalance: eligibilityMode === VoterEligibilityMode.TokenBased
+      ? ethers.parseUnits(minimumTokenBalance, config.tokenDecimals ?? 18)
+      : 0n,
+    requiredNFTContract: eligibilityMode === VoterEligibilityMode.NFTBased ? ethers.getAddress(requiredNFTContract) : ethers.ZeroAddress,
+    openCandidateRegistration: !!config.openCandidateRegistration,
+    liveResultsEnabled: !!config.liveResultsEnabled,
+    resultsPublic: !!config.resultsPublic,
+    useCommitReveal: !!config.useCommitReveal
+  };
+};
+
+const commands = {
+  async list(args, options) {
+    const connection = await connect(options);
+    // Proxies that can't be read are left out of the list and reported on stderr
+    print(await factoryFor(options, connection).listElections({
+      onSkipped: ({ id, address }) => process.stderr.write(`${toJSON({ warning: { message: 'Skipped an election whose state could not be read', id, address } })}\n`)
+    }));
+  },
+
+  async create(args, options) {
+    if (!options.config) throw usageError('create needs --config <file.json>');
+    const settings = toElectionSettings(JSON.parse(await readFile(options.config, 'utf8')));
+
+    const connection = await connect(options);
+    const signer = requireSigner(await loadSigner(options, connection.provider));
+    const factory = factoryFor(options, connection, signer);
+
+    const tx = await factory.createElection(settings);
+    const receipt = await tx.wait();
+    print({ ...factory.parseElectionCreated(receipt), transactionHash: receipt.hash, blockNumber: receipt.blockNumber });
+  },
+
+  async candidates([address], options) {
+    const { provider } = await connect(options);
+    const client = new ElectionClient({ address: requireAddress(address, 'election'), runner: provider });
+    print(await client.getCandidates());
+  },
+
+  // Addresses whose isEligibleVoter flag already matches are skipped, so re-running
+  // after a failed batch only sends what is still missing
+  async whitelist([action, address, file], options) {
+    if (action !== 'add' && action !== 'remove') throw usageError('whitelist needs "add" or "remove"');
+    const election = requireAddress(address, 'election');
+    if (!file) throw usageError('whitelist needs a voter list file');
+
+    const { valid, invalid, duplicates } = normalizeVoterAddresses(parseVoterFile(await readFile(file, 'utf8'), file));
+    const { provider } = await connect(options);
+    const signer = requireSigner(await loadSigner(options, provider));
+    const client = new ElectionClient({ address: election, runner: signer });
+
+    const remove = action === 'remove';
+    const eligibility = await multicall(provider, valid.map(voter => ({
+      target: election,
+      iface: electionInterface,
+      method: 'isEligibleVoter',
+      args: [voter]
+    })));
+    const pending = valid.filter((voter, index) => eligibility[index] === null || eligibility[index][0] === remove);
+
+    const batches = [];
+    for (const batch of chunk(pending, WHITELIST_BATCH_SIZE)) {
+      const tx = await (remove ? client.removeEligibleVoters(batch) : client.addEligibleVoters(batch));
+      batches.push({ addresses: batch.length, ...(await confirm(tx)) });
+    }
+    print({ action, election, updated: pending.length, skipped: valid.length - pending.length, invalid, duplicates, batches });
+  },
+
+  async vote([address, candidateId], options) {
+    const election = requireAddress(address, 'election');
+    if (candidateId === undefined || !/^\d+$/.test(candidateId)) throw usageError('vote needs a numeric candidate ID');
+
+    const { provider } = await connect(options);
+    const signer = requireSigner(await loadSigner(options, provider));
+    const client = new ElectionClient({ address: election, runner: signer });
+    const config = await client.getConfig();
+
+    if (!config.useCommitReveal) {
+      print({ election, candidateId: Number(candidateId), ...(await confirm(await client.vote(candidateId))) });
+      return;
+    }
+
+    // Same secret format as the app's backup download, so either can reveal it
+    const voter = await signer.getAddress();
+    const nonce = generateNonce();
+    const { revealDeadline } = await client.getRevealState();
+    const secret = {
+      election,
+      electionTitle: config.title,
+      voter,
+      candidateId: Number(candidateId),
+      nonce: nonce.toString(),
+      commitHash: computeCommitHash(candidateId, nonce, voter),
+      revealDeadline: revealDeadline * 1000,
+      createdAt: Date.now()
+    };
+    // Saved before sending, so the vote can still be revealed if waiting for the receipt fails
+    if (options.secret) {
+      await writeFile(options.secret, toJSON(secret));
+    } else {
+      process.stderr.write(`${toJSON({ secret })}\n`);
+    }
+
+    const result = await confirm(await client.commitVote(secret.commitHash));
+    print({ election, committed: true, ...result, ...(options.secret ? { secretFile: options.secret } : { secret }) });
+  },
+
+  async reveal([address], options) {
+    const election = requireAddress(address, 'election');
+    if (!options.secret) throw usageError('reveal needs --secret <file.json>');
+    const secret = JSON.parse(await readFile(options.secret, 'utf8'));
+    if (secret.election?.toLowerCase() !== election.toLowerCase()) {
+      throw usageError(`The secret in ${options.secret} is for election ${secret.election}`);
+    }
+
+    const { provider } = await connect(options);
+    const signer = requireSigner(await loadSigner(options, provider));
+    const client = new ElectionClient({ address: election, runner: signer });
+    const result = await confirm(await client.revealVote(secret.candidateId, secret.nonce));
+    print({ election, candidateId: secret.candidateId, revealed: true, ...result });
+  },
+
+  async results([address], options) {
+    if (!['json', 'csv'].includes(options.format)) throw usageError('--format must be json or csv');
+    const { provider } = await connect(options);
+    const signer = await loadSigner(options, provider);
+    const election = await new ElectionClient({ address: requireAddress(address, 'election'), runner: provider }).getSummary();
+
+    const snapshot = await readResultsSnapshot({
+      provider,
+      election,
+      viewer: signer ? await signer.getAddress() : null
+    });
+    print(options.format === 'csv' ? resultsToCSV(snapshot) : snapshot);
+  },
+
+  async 'emergency-stop'([address], options) {
+    const election = requireAddress(address, 'election');
+    const { provider } = await connect(options);
+    const signer = requireSigner(await loadSigner(options, provider));
+    const result = await confirm(await new ElectionClient({ address: election, runner: signer }).emergencyStop());
+    print({ election, emergencyStopped: true, ...result });
+  }
+};
+
+const main = async () => {
+  const { values: options, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+  const [command, ...args] = positionals;
+
+  if (!command || command === 'help' || options.help) {
+    print(USAGE);
+    return;
+  }
+  if (!Object.hasOwn(commands, command)) throw usageError(`Unknown command "${command}". Run "elections help".`);
+  await commands[command](args, options);
+};
+
+main().catch(error => {
+  const normalized = error?.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' ? usageError(error.message) : normalizeError(error);
+  process.stderr.write(`${toJSON({ error: { code: normalized.code, reason: normalized.reason, message: normalized.message } })}\n`);
+  process.exitCode = 1;
+});
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { ethers } from 'ethers';
 import { 
   Vote, 
@@ -19,53 +19,336 @@ import {
   Unlock,
   X,
   User,
-  TrendingUp
+  TrendingUp,
+  Download,
+  LogOut,
+  FlaskConical,
+  History,
+  Info,
+  ArrowUpDown
 } from 'lucide-react';
+import { validateElectionSettings, hasValidationErrors, toUnixSeconds } from './electionValidation';
+import { multicall } from './multicall';
+import {
+  ElectionClient,
+  ElectionFactoryClient,
+  electionInterface,
+  factoryInterface,
+  readElections,
+  CONTRACT_ERROR_MESSAGES,
+  normalizeError,
+  decodeContractError,
+  generateNonce,
+  computeCommitHash,
+  readTokenDecimals,
+  electionStatusAt
+} from './electionClient';
+import { useElections, useElection, useVoterStatuses, useCreatorElections } from './useElections';
+import { useVirtualGrid } from './useVirtualGrid';
+import { useTransactionHistory } from './useTransactionHistory';
+import { clearTransactionHistory } from './transactionHistory';
+import { groupAccountActivity, getPendingActions, findAccountElectionIds } from './accountActivity';
+import { subscribeToLogs } from './eventSubscriptions';
+import {
+  openElectionIndex,
+  syncElectionIndex,
+  getIndexedElections,
+  getIndexedCandidates,
+  getIndexedVotes,
+  getCachedElectionSummaries,
+  cacheElectionSummaries
+} from './electionIndexer';
+import {
+  readResultsSnapshot,
+  resultsToCSV,
+  resultsToJSON,
+  resultsFileName,
+  downloadFile
+} from './resultsExport';
+import { runTallyAudit, auditFileName } from './tallyAudit';
+import { discoverWallets, rememberWallet, getRememberedWallet, forgetWallet } from './walletDiscovery';
+import { getDeployment, getSupportedDeployments, getReadOnlyDeployment, toHexChainId } from './deployments';
+import { parseRoute, syncUrl, subscribeToRoute } from './router';
+import { createSimulatedChain, DEMO_FIXTURE, SIMULATED_CHAIN_ID } from './simulatedChain';
+import {
+  parseVoterFile,
+  normalizeVoterAddresses,
+  createWhitelistJob,
+  loadWhitelistJob,
+  clearWhitelistJob,
+  runWhitelistJob
+} from './whitelistImport';
 
-// Contract ABIs (simplified for demo)
-const ELECTION_FACTORY_ABI = [
-  "function createElection((string,string,uint256,uint256,uint256,uint8,bool,bool,bool,bool), uint8, uint256, address) external returns (address)",
-  "function getAllElections() external view returns (address[])",
-  "function getCreatorElections(address) external view returns (uint256[])",
-  "function electionCount() external view returns (uint256)",
-  "function elections(uint256) external view returns (address)",
-  "event ElectionCreated(uint256 indexed electionId, address indexed electionAddress, address indexed creator, string title)"
+// Registry entry for the provider's chain (see deployments.js), or null on chains without a factory
+const deploymentFor = async (web3Provider) => getDeployment((await web3Provider.getNetwork()).chainId);
+
+// Events that change what the dashboard shows; any of them triggers a re-read of the emitting election
+const LIVE_EVENT_TOPICS = [
+  factoryInterface.getEvent('ElectionCreated').topicHash,
+  ...['VoteCast', 'VoteRevealed', 'CandidateRegistered', 'VoterRegistered', 'EmergencyStop']
+    .map(name => electionInterface.getEvent(name).topicHash)
+];
+
+// Elections that can still emit events the dashboard cares about
+const isLiveElection = (election, now) =>
+  election.status !== 2 ||
+  (election.useCommitReveal && now <= election.revealDeadline);
+
+// Badges for transaction history entries (see transactionHistory.js)
+const TX_STATUS_INFO = {
+  pending: { label: 'Pending', color: 'text-blue-400', bg: 'bg-blue-400/20' },
+  confirmed: { label: 'Confirmed', color: 'text-green-400', bg: 'bg-green-400/20' },
+  reverted: { label: 'Failed', color: 'text-red-400', bg: 'bg-red-400/20' },
+  dropped: { label: 'Dropped', color: 'text-gray-400', bg: 'bg-gray-400/20' }
+};
+
+// Dashboard sort orders over the listed elections; ties keep the newest first.
+// "End time" lists elections still running or upcoming by soonest end, then ended ones by latest end.
+const ELECTION_SORTS = {
+  newest: { label: 'Newest', compare: () => 0 },
+  'end-time': {
+    label: 'End Time',
+    compare: (a, b) => (a.status === 2) - (b.status === 2) || (a.status === 2 ? b.endTime - a.endTime : a.endTime - b.endTime)
+  },
+  votes: { label: 'Most Votes', compare: (a, b) => b.totalVotes - a.totalVotes },
+  participation: { label: 'Participation', compare: (a, b) => b.participation - a.participation }
+};
+
+// Dashboard grid columns by viewport width, matching its md:grid-cols-2 xl:grid-cols-3 classes
+const DASHBOARD_GRID_BREAKPOINTS = [[1280, 3], [768, 2]];
+
+// My Activity lists (see accountActivity.js) and their badge colors
+const ACTIVITY_SECTIONS = [
+  { role: 'created', title: 'Elections I Created', empty: 'Elections you create will appear here.' },
+  { role: 'voting', title: 'Elections I Can Vote In', empty: 'You are not eligible or registered in any election yet.' },
+  { role: 'candidate', title: 'Elections I Stand In', empty: 'You have not registered as a candidate in any election.' }
 ];
 
-const ELECTION_ABI = [
-  "function config() external view returns (string,string,uint256,uint256,uint256,uint8,bool,bool,bool,bool)",
-  "function getElectionStatus() external view returns (uint8)",
-  "function candidateCount() external view returns (uint256)",
-  "function candidates(uint256) external view returns (string,string,uint256,bool)",
-  "function registerCandidate(string,string) external",
-  "function registerToVote() external",
-  "function vote(uint256) external",
-  "function commitVote(bytes32) external",
-  "function revealVote(uint256,uint256) external",
-  "function getResults() external view returns (uint256[],string[],uint256[],uint256,uint256)",
-  "function getWinner() external view returns (uint256,string,uint256)",
-  "function hasVoted(address) external view returns (bool)",
-  "function isEligibleVoter(address) external view returns (bool)",
-  "function totalVotes() external view returns (uint256)",
-  "function totalEligibleVoters() external view returns (uint256)",
-  "event VoteCast(address indexed voter, uint256 candidateId)",
-  "event CandidateRegistered(uint256 indexed candidateId, string name, address indexed registrant)"
+const ACTIVITY_TONES = {
+  action: 'bg-blue-400/20 text-blue-400',
+  warning: 'bg-yellow-400/20 text-yellow-400',
+  info: 'bg-slate-400/20 text-slate-300'
+};
+
+// Mirrors the canViewResults check in Election.getResults()
+const canViewResults = (election, viewer) =>
+  election.resultsPublic ||
+  (election.liveResults && election.status === 1) ||
+  (election.status === 2 && !election.isEmergencyStopped) ||
+  (election.isEmergencyStopped && election.allowResultsAfterEmergency) ||
+  (!!viewer && viewer.toLowerCase() === election.creator.toLowerCase());
+
+// Candidates have no avatar on-chain, so show their initials instead
+const getInitials = (name) =>
+  name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(part => part[0].toUpperCase())
+    .join('');
+
+// Commit-reveal secrets are kept in localStorage, one per election and voter
+const COMMIT_STORAGE_PREFIX = 'blockvote:commit';
+
+const commitStorageKey = (electionAddress, voter) =>
+  `${COMMIT_STORAGE_PREFIX}:${electionAddress.toLowerCase()}:${voter.toLowerCase()}`;
+
+const saveCommitSecret = (secret) => {
+  localStorage.setItem(commitStorageKey(secret.election, secret.voter), JSON.stringify(secret));
+};
+
+const loadCommitSecret = (electionAddress, voter) => {
+  const stored = localStorage.getItem(commitStorageKey(electionAddress, voter));
+  return stored ? JSON.parse(stored) : null;
+};
+
+// Check an imported backup belongs to this election/voter and hashes to its own commitment
+const isValidCommitSecret = (secret, electionAddress, voter) =>
+  !!secret &&
+  typeof secret.election === 'string' &&
+  typeof secret.voter === 'string' &&
+  secret.election.toLowerCase() === electionAddress.toLowerCase() &&
+  secret.voter.toLowerCase() === voter.toLowerCase() &&
+  computeCommitHash(secret.candidateId, BigInt(secret.nonce), secret.voter) === secret.commitHash;
+
+// Save a commit secret as a JSON backup file
+const downloadCommitSecret = (secret) => downloadFile(
+  `vote-secret-${secret.election.slice(0, 10)}-${secret.voter.slice(0, 10)}.json`,
+  JSON.stringify(secret, null, 2),
+  'application/json'
+);
+
+// Share of the vote as a whole percentage, safe for elections with no votes yet
+const votePercentage = (votes, total) => (total > 0 ? Math.round((votes / total) * 100) : 0);
+
+// Empty Create Election form
+const INITIAL_ELECTION_FORM = {
+  title: '',
+  description: '',
+  startTime: '',
+  endTime: '',
+  candidateDeadline: '',
+  votingType: '0',
+  eligibilityMode: '1',
+  minimumTokenBalance: '0',
+  tokenDecimals: '18',
+  requiredNFTContract: ethers.ZeroAddress,
+  openCandidateRegistration: true,
+  liveResultsEnabled: false,
+  resultsPublic: true,
+  useCommitReveal: false
+};
+
+// Labels for Election.VoterEligibilityMode
+const ELIGIBILITY_MODE_LABELS = ['Whitelist', 'Open Registration', 'Token-based', 'NFT-based'];
+
+const ELIGIBILITY_MODE_DESCRIPTIONS = [
+  'Only addresses the election owner has added to the whitelist can register.',
+  'Anyone can register to vote.',
+  'You must hold a minimum balance of the governance token to register.',
+  'You must own at least one NFT from the required collection to register.'
 ];
 
-// Mock contract addresses (replace with actual deployed addresses)
-const FACTORY_ADDRESS = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+// Unix milliseconds to a datetime-local input value in the user's timezone
+const toDateTimeLocal = (ms) => {
+  const offsetMs = new Date(ms).getTimezoneOffset() * 60 * 1000;
+  return new Date(ms - offsetMs).toISOString().slice(0, 16);
+};
+
+// Election settings (as taken by ElectionFactoryClient.createElection and
+// ElectionClient.updateElectionSettings) from a validated form
+const toElectionSettings = (form) => {
+  const eligibilityMode = parseInt(form.eligibilityMode);
+  return {
+    title: form.title,
+    description: form.description,
+    startTime: toUnixSeconds(form.startTime),
+    endTime: toUnixSeconds(form.endTime),
+    candidateRegistrationDeadline: toUnixSeconds(form.candidateDeadline),
+    votingType: parseInt(form.votingType),
+    eligibilityMode,
+    minimumTokenBalance: eligibilityMode === 2 ? ethers.parseUnits(form.minimumTokenBalance, parseInt(form.tokenDecimals)) : 0n,
+    requiredNFTContract: eligibilityMode === 3 ? form.requiredNFTContract.trim() : ethers.ZeroAddress,
+    openCandidateRegistration: form.openCandidateRegistration,
+    liveResultsEnabled: form.liveResultsEnabled,
+    resultsPublic: form.resultsPublic,
+    useCommitReveal: form.useCommitReveal
+  };
+};
+
+// Registration status and a readable summary of ElectionClient.checkEligibility() for the details view
+const describeEligibility = (eligibility, election) => {
+  if (eligibility.error) return { registered: false, qualifies: null, detail: 'Could not check your eligibility.' };
+
+  const { registered, qualifies } = eligibility;
+  let detail = '';
+  if (eligibility.mode === 0) {
+    detail = eligibility.whitelisted ? 'Your address is on the whitelist.' : 'Your address is not on the whitelist.';
+  } else if (eligibility.mode === 1) {
+    detail = 'Open to everyone.';
+  } else if (eligibility.mode === 2) {
+    const { token } = eligibility;
+    detail = token
+      ? `You hold ${ethers.formatUnits(token.balance, token.decimals)} ${token.symbol}; ${ethers.formatUnits(token.required, token.decimals)} required.`
+      : 'No governance token is configured for this network, so your balance cannot be checked.';
+  } else if (eligibility.mode === 3) {
+    const { balance } = eligibility.nft;
+    detail = `You own ${balance} NFT${balance === 1n ? '' : 's'} from ${election.requiredNFTContract.slice(0, 6)}...${election.requiredNFTContract.slice(-4)}.`;
+  }
+  return { registered, qualifies, detail };
+};
+
+// Prefill the settings editor from a loaded election
+// tokenDecimals: the governance token's decimals, or null when they couldn't be read
+const toSettingsForm = (election, tokenDecimals = null) => {
+  // The contract stores the raw threshold only. Without the token's decimals a TokenBased
+  // threshold is shown as the raw amount (0 decimals), so saving leaves it unchanged.
+  const decimals = tokenDecimals ?? (election.eligibilityMode === 2 ? 0 : 18);
+  return {
+    title: election.title,
+    description: election.description,
+    startTime: toDateTimeLocal(election.startTime),
+    endTime: toDateTimeLocal(election.endTime),
+    candidateDeadline: toDateTimeLocal(election.candidateDeadline),
+    votingType: String(election.votingType),
+    eligibilityMode: String(election.eligibilityMode),
+    minimumTokenBalance: ethers.formatUnits(election.minimumTokenBalance, decimals),
+    tokenDecimals: String(decimals),
+    requiredNFTContract: election.requiredNFTContract,
+    openCandidateRegistration: election.openCandidateRegistration,
+    liveResultsEnabled: election.liveResults,
+    resultsPublic: election.resultsPublic,
+    useCommitReveal: election.useCommitReveal
+  };
+};
+
+// Whitelist editor starting state; preview is set once a list has been checked
+const EMPTY_VOTER_LIST_FORM = { electionAddress: '', addresses: '', fileName: '', error: '', preview: null };
 
-const ElectionDApp = () => {
+// demoFixture: the fixture demo mode replays (see simulatedChain.js); pass one in to script UI flows
+// Dashboard grid of election cards, drawn with renderCard(election). Scrolling updates the
+// virtual grid's state on every frame, so it lives here rather than in ElectionDApp to keep
+// those re-renders to the visible cards. onEndReachedChange(endReached) follows useVirtualGrid's endReached;
+// onVisibleChange(addresses) gets the comma-joined addresses of the rendered cards.
+const ElectionGrid = ({ elections, renderCard, onEndReachedChange, onVisibleChange }) => {
+  const grid = useVirtualGrid(elections.length, {
+    breakpoints: DASHBOARD_GRID_BREAKPOINTS,
+    estimatedRowHeight: 420,
+    gap: 24
+  });
+  const visibleAddresses = grid.rows
+    .flatMap(row => row.items.map(itemIndex => elections[itemIndex].address))
+    .join(',');
+
+  useEffect(() => {
+    onEndReachedChange(grid.endReached);
+  }, [grid.endReached, onEndReachedChange]);
+
+  useEffect(() => {
+    onVisibleChange(visibleAddresses);
+  }, [visibleAddresses, onVisibleChange]);
+
+  return (
+    <div ref={grid.containerRef} className="relative" style={{ height: grid.totalHeight }}>
+      {grid.rows.map((row) => (
+        <div
+          key={row.index}
+          ref={grid.measureRow(row.index)}
+          className="absolute inset-x-0 grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6"
+          style={{ top: row.top }}
+        >
+          {row.items.map((itemIndex) => renderCard(elections[itemIndex]))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const ElectionDApp = ({ demoFixture = DEMO_FIXTURE }) => {
   // State management
   const [account, setAccount] = useState('');
   const [provider, setProvider] = useState(null);
   const [signer, setSigner] = useState(null);
-  const [elections, setElections] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [activeTab, setActiveTab] = useState('dashboard');
+  // Wallets found through EIP-6963 discovery, and the one in use
+  const [wallets, setWallets] = useState([]);
+  const [connectedWallet, setConnectedWallet] = useState(null);
+  const [showWalletPicker, setShowWalletPicker] = useState(false);
+  // Chain the wallet is on, and the factory deployment there (null on unsupported chains)
+  const [chainId, setChainId] = useState(null);
+  const [deployment, setDeployment] = useState(null);
+  const [demoChain, setDemoChain] = useState(null); // SimulatedChain while in demo mode
+  // Tab, open election and dashboard filters start from the URL
+  const [initialRoute] = useState(() => parseRoute(window.location));
+  const [activeTab, setActiveTab] = useState(initialRoute.tab);
   const [selectedElection, setSelectedElection] = useState(null);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [statusFilter, setStatusFilter] = useState('');
+  const [searchTerm, setSearchTerm] = useState(initialRoute.search);
+  const [statusFilter, setStatusFilter] = useState(initialRoute.status);
+  const [sortOrder, setSortOrder] = useState(ELECTION_SORTS[initialRoute.sort] ? initialRoute.sort : 'newest');
+  // Election named by the URL, opened once the election list has it: { address, section }
+  const [routedElection, setRoutedElection] = useState(
+    initialRoute.electionAddress ? { address: initialRoute.electionAddress, section: initialRoute.section } : null
+  );
+  const [detailsSection, setDetailsSection] = useState(null); // 'results' when opened at /election/:address/results
 
   // Modal states
   const [showElectionModal, setShowElectionModal] = useState(false);
@@ -73,162 +356,491 @@ const ElectionDApp = () => {
   const [showVotedCandidateModal, setShowVotedCandidateModal] = useState(false);
   const [selectedCandidate, setSelectedCandidate] = useState(null);
 
-  // User voting state
-  const [userVotes, setUserVotes] = useState({}); // { electionId: candidateId }
-  const [candidateVotes, setCandidateVotes] = useState({}); // { electionId: { candidateId: extraVotes } }
+  // Commit-reveal state
+  const [commitSecrets, setCommitSecrets] = useState({}); // { electionAddress: secret }
+  const [showRevealModal, setShowRevealModal] = useState(false);
+  const [revealImportError, setRevealImportError] = useState('');
+
+  // Lifecycle of the transaction currently in flight
+  // stage: idle | signing | pending | confirmed | reverted
+  const [txStatus, setTxStatus] = useState({ stage: 'idle' });
+  const [toasts, setToasts] = useState([]); // [{ id, type: 'pending' | 'success' | 'error' | 'info', title, message, hash }]
+  const [showHistory, setShowHistory] = useState(false);
 
   // Form states
-  const [createElectionForm, setCreateElectionForm] = useState({
-    title: '',
-    description: '',
-    startTime: '',
-    endTime: '',
-    candidateDeadline: '',
-    votingType: '0',
-    eligibilityMode: '1',
-    minimumTokenBalance: '0',
-    requiredNFTContract: '0x0000000000000000000000000000000000000000',
-    openCandidateRegistration: true,
-    liveResultsEnabled: false,
-    resultsPublic: true,
-    useCommitReveal: false
-  });
+  const [createElectionForm, setCreateElectionForm] = useState(INITIAL_ELECTION_FORM);
+  // Errors only show once the user has tried to submit, then update as they edit
+  const [createFormSubmitted, setCreateFormSubmitted] = useState(false);
+
+  // Election management state
+  const [pendingAdminAction, setPendingAdminAction] = useState(null); // { election, title, message, send, onSuccess } or { title, message, execute }
+  const [voterListForm, setVoterListForm] = useState(EMPTY_VOTER_LIST_FORM);
+  const [whitelistJobs, setWhitelistJobs] = useState({}); // { electionAddress: unfinished batch job }
+  const [settingsElection, setSettingsElection] = useState(null);
+  const [settingsForm, setSettingsForm] = useState(INITIAL_ELECTION_FORM);
+  const [settingsFormSubmitted, setSettingsFormSubmitted] = useState(false);
 
   const [candidateForm, setCandidateForm] = useState({
     name: '',
     description: ''
   });
+  const [candidateFormError, setCandidateFormError] = useState('');
 
-  // Mock candidates data
-  const getCandidatesForElection = (electionId) => {
-    const candidatesData = {
-      1: [
-        { id: 0, name: 'Alice Johnson', description: 'Experienced leader with focus on student welfare', votes: 234, avatar: '👩‍💼' },
-        { id: 1, name: 'Bob Smith', description: 'Advocate for better facilities and academic programs', votes: 189, avatar: '👨‍🎓' },
-        { id: 2, name: 'Carol Davis', description: 'Champion of diversity and inclusion initiatives', votes: 156, avatar: '👩‍🔬' },
-        { id: 3, name: 'David Wilson', description: 'Focus on technology integration and innovation', votes: 145, avatar: '👨‍💻' },
-        { id: 4, name: 'Eva Brown', description: 'Environmental sustainability and campus green initiatives', votes: 123, avatar: '👩‍🌾' }
-      ],
-      2: [
-        { id: 0, name: 'Michael Chen', description: 'Financial transparency and community development', votes: 456, avatar: '👨‍💼' },
-        { id: 1, name: 'Sarah Williams', description: 'Education and youth programs advocate', votes: 389, avatar: '👩‍🏫' },
-        { id: 2, name: 'James Rodriguez', description: 'Infrastructure and public safety focus', votes: 400, avatar: '👨‍🚒' }
-      ],
-      3: [
-        { id: 0, name: 'Dr. Amanda Foster', description: 'Former CEO with 20+ years corporate experience', votes: 234, avatar: '👩‍⚕️' },
-        { id: 1, name: 'Robert Kim', description: 'Tech entrepreneur and innovation strategist', votes: 99, avatar: '👨‍💼' },
-        { id: 2, name: 'Lisa Thompson', description: 'Financial expert and sustainable growth advocate', votes: 200, avatar: '👩‍💼' },
-        { id: 3, name: 'Carlos Martinez', description: 'Marketing director with global experience', votes: 50, avatar: '👨‍🎨' }
-      ]
-    };
-    // Add extra votes from candidateVotes state
-    const extraVotes = candidateVotes[electionId] || {};
-    return (candidatesData[electionId] || []).map(candidate => ({
-      ...candidate,
-      votes: candidate.votes + (extraVotes[candidate.id] || 0)
-    }));
+  const [resultsExport, setResultsExport] = useState(null); // { electionAddress, format, error }
+  const [audit, setAudit] = useState(null); // { election, running, report, error }
+
+  // Ticks every second while the details modal is open, for live countdowns
+  const [now, setNow] = useState(Date.now());
+
+  // Local event index for the connected chain, opened once per provider
+  const electionIndexRef = useRef({ provider: null, index: null });
+  const indexSyncRef = useRef(null);
+  // Snapshot of every election from the last index sync: { provider, elections }
+  const [indexedElections, setIndexedElections] = useState(null);
+
+  // Resolves to the index database, or null when IndexedDB can't be used
+  const getElectionIndex = async (web3Provider = provider) => {
+    if (!web3Provider) return null;
+    if (electionIndexRef.current.provider !== web3Provider) {
+      const index = deploymentFor(web3Provider)
+        .then(deployment => deployment && openElectionIndex({
+          chainId: deployment.chainId,
+          factoryAddress: deployment.factoryAddress
+        }))
+        .catch(error => {
+          console.warn('Election index unavailable:', error);
+          return null;
+        });
+      electionIndexRef.current = { provider: web3Provider, index };
+    }
+    return electionIndexRef.current.index;
+  };
+
+  // Bring the index up to the chain head in the background; overlapping calls share one sync.
+  // The sync keeps a snapshot of every election, which then backs the dashboard's list and counters.
+  const syncIndex = (web3Provider = provider) => {
+    if (!indexSyncRef.current) {
+      indexSyncRef.current = Promise.all([getElectionIndex(web3Provider), deploymentFor(web3Provider)])
+        .then(async ([index, deployment]) => {
+          if (!index) return;
+          await syncElectionIndex(index, {
+            provider: web3Provider,
+            factoryAddress: deployment.factoryAddress,
+            deploymentBlock: deployment.startBlock,
+            onReorg: ({ blockNumber, rebuilt }) => console.warn(rebuilt
+              ? 'Deep reorg detected; rebuilding election index'
+              : `Reorg detected; rolled election index back to block ${blockNumber}`),
+            // Elections that fail to read are retried on the next sync; the page reads already warn about them
+            readSummaries: (entries) => readElections(web3Provider, entries)
+          });
+          setIndexedElections({ provider: web3Provider, elections: await getCachedElectionSummaries(index) });
+        })
+        .catch(error => console.warn('Election index sync failed:', error))
+        .finally(() => { indexSyncRef.current = null; });
+    }
+    return indexSyncRef.current;
   };
+
+  // Factory on the current chain; every election list read goes through it
+  const factory = useMemo(
+    () => provider && deployment ? ElectionFactoryClient.fromDeployment(deployment, provider) : null,
+    [provider, deployment]
+  );
+
+  // Elections from the factory a page at a time, newest first, reloaded whenever the provider or chain changes
+  const {
+    elections,
+    setElections,
+    loading,
+    loadingMore: loadingMoreElections,
+    error: electionsError,
+    skipped: skippedElections,
+    total: electionsTotal,
+    hasMore: hasMoreElections,
+    reload: loadElections,
+    loadMore: loadMoreElections,
+    include: includeElections
+  } = useElections(factory, {
+    loadCached: async (current) => {
+      const index = await getElectionIndex(current.provider);
+      return index ? getCachedElectionSummaries(index) : [];
+    },
+    onLoaded: async (loadedElections) => {
+      // Keep an open details view in sync with the fresh data
+      setSelectedElection(prev => prev && (loadedElections.find(e => e.address === prev.address) || prev));
+
+      const index = await getElectionIndex(factory.provider);
+      if (index) {
+        cacheElectionSummaries(index, loadedElections)
+          .catch(error => console.warn('Could not cache election summaries:', error));
+      }
+      syncIndex(factory.provider);
+    }
+  });
+
+  // Vote state of the connected account in every listed election, for the dashboard cards
+  const voterStatuses = useVoterStatuses(provider, elections.map(election => election.address), account);
+
+  // Cards drawn from the index alone have no loaded election behind them, so their
+  // statuses are read for the ones currently on screen
+  const [visibleElectionAddresses, setVisibleElectionAddresses] = useState('');
+  const visibleIndexOnlyAddresses = useMemo(() => {
+    const loaded = new Set(elections.map(election => election.address));
+    return visibleElectionAddresses
+      ? visibleElectionAddresses.split(',').filter(address => !loaded.has(address))
+      : [];
+  }, [visibleElectionAddresses, elections]);
+  const visibleVoterStatuses = useVoterStatuses(provider, visibleIndexOnlyAddresses, account);
+  const reloadVoterStatuses = () => Promise.all([voterStatuses.reload(), visibleVoterStatuses.reload()]);
+  const creatorElections = useCreatorElections(factory, account);
+
+  // Submitted transactions of the connected account on this chain, shown in the history drawer
+  const transactionHistory = useTransactionHistory({ provider, chainId, account });
+  const pendingTransactionCount = transactionHistory.transactions.filter(entry => entry.status === 'pending').length;
+
+  // The election open in the details view, read for the connected account
+  const selectedAddress = selectedElection?.address;
+  const selectedClient = useMemo(
+    () => provider && selectedAddress ? new ElectionClient({ address: selectedAddress, runner: provider }) : null,
+    [provider, selectedAddress]
+  );
+  const selectedState = useElection(selectedClient, {
+    account,
+    governanceTokenAddress: deployment?.governanceTokenAddress,
+    // Indexed candidate names, shown straight away while the chain reads run
+    loadPlaceholderCandidates: async (client) => {
+      const index = await getElectionIndex(client.provider);
+      const indexed = index ? await getIndexedCandidates(index, client.address) : [];
+      return indexed.map(candidate => ({
+        id: candidate.candidateId,
+        name: candidate.name,
+        description: '',
+        voteCount: null,
+        isActive: true
+      }));
+    },
+    // The index usually has the vote already; otherwise scan the logs from the election's creation block
+    findVote: async (client, voter) => {
+      const index = await getElectionIndex(client.provider);
+      if (index) {
+        const indexedVote = (await getIndexedVotes(index, client.address).catch(() => []))
+          .find(vote => vote.voter.toLowerCase() === voter.toLowerCase());
+        if (indexedVote) {
+          return {
+            candidateId: indexedVote.candidateId,
+            revealed: indexedVote.type === 'reveal',
+            blockNumber: indexedVote.blockNumber,
+            transactionHash: indexedVote.transactionHash
+          };
+        }
+        const created = (await getIndexedElections(index).catch(() => [])).find(entry => entry.address === client.address);
+        if (created) return client.findVote(voter, { fromBlock: created.blockNumber });
+      }
+      return client.findVote(voter, { fromBlock: deployment?.startBlock ?? 0 });
+    }
+  });
+
+  // Candidates of the open election, with tallies only where the contract's visibility rules allow them
+  const selectedResultsVisible = selectedElection ? canViewResults(selectedElection, account) : false;
+  const selectedCandidates = useMemo(() => (selectedState.candidates || []).map(candidate => ({
+    ...candidate,
+    votes: selectedResultsVisible ? candidate.voteCount : null,
+    avatar: getInitials(candidate.name)
+  })), [selectedState.candidates, selectedResultsVisible]);
+
+  // Candidates for an election, as last loaded from the chain (only the open election is loaded)
+  const getCandidatesForElection = (electionAddress) =>
+    selectedElection?.address === electionAddress ? selectedCandidates : [];
+
+  // Active candidates only, matching what getResults() reports
+  const getActiveCandidates = (electionAddress) =>
+    getCandidatesForElection(electionAddress).filter(candidate => candidate.isActive);
   
-  // Connect wallet
-  const connectWallet = async () => {
+  // Clear everything tied to the connected account so none of it carries over to the next one
+  const resetAccountState = () => {
+    setCommitSecrets({});
+    setWhitelistJobs({});
+    setPendingAdminAction(null);
+    setVoterListForm(EMPTY_VOTER_LIST_FORM);
+    setSettingsElection(null);
+    setCandidateForm({ name: '', description: '' });
+    setCandidateFormError('');
+    setResultsExport(null);
+    setAudit(null);
+    setTxStatus({ stage: 'idle' });
+    setSelectedCandidate(null);
+    setShowVoteConfirmModal(false);
+    setShowVotedCandidateModal(false);
+    setShowRevealModal(false);
+  };
+
+  // Toasts: pending ones stay until updated under the same id, the rest dismiss themselves
+  const toastTimersRef = useRef(new Map());
+  // Toast IDs come from a counter so toasts opened in the same millisecond don't replace each other
+  const toastCounterRef = useRef(0);
+  const nextToastId = (prefix) => `${prefix}:${++toastCounterRef.current}`;
+
+  const dismissToast = (id) => {
+    clearTimeout(toastTimersRef.current.get(id));
+    toastTimersRef.current.delete(id);
+    setToasts(prev => prev.filter(toast => toast.id !== id));
+  };
+
+  const notify = ({ id = nextToastId('toast'), ...toast }) => {
+    clearTimeout(toastTimersRef.current.get(id));
+    setToasts(prev => prev.some(existing => existing.id === id)
+      ? prev.map(existing => existing.id === id ? { id, ...toast } : existing)
+      : [...prev, { id, ...toast }]);
+    if (toast.type !== 'pending') {
+      toastTimersRef.current.set(id, setTimeout(() => dismissToast(id), toast.type === 'error' ? 10000 : 5000));
+    }
+  };
+
+  // Connect wallet: straight to the only wallet found, otherwise let the user pick
+  const connectWallet = () => {
+    if (wallets.length === 1) {
+      connectWith(wallets[0]);
+    } else {
+      setShowWalletPicker(true);
+    }
+  };
+
+  // silent: only reuse an existing authorization (eth_accounts) instead of prompting
+  const connectWith = async (wallet, { silent = false } = {}) => {
+    setShowWalletPicker(false);
     try {
-      if (typeof window.ethereum !== 'undefined') {
-        const provider = new ethers.BrowserProvider(window.ethereum);
-        const accounts = await provider.send("eth_requestAccounts", []);
-        const signer = await provider.getSigner();
-        
-        setAccount(accounts[0]);
-        setProvider(provider);
-        setSigner(signer);
-        
-        // Load elections
-        await loadElections(provider);
-      } else {
-        alert('Please install MetaMask!');
-      }
+      const provider = new ethers.BrowserProvider(wallet.provider);
+      const accounts = await provider.send(silent ? "eth_accounts" : "eth_requestAccounts", []);
+      if (accounts.length === 0) return;
+      const signer = await provider.getSigner(accounts[0]);
+      const { chainId } = await provider.getNetwork();
+      
+      resetAccountState();
+      setAccount(accounts[0]);
+      setProvider(provider);
+      setSigner(signer);
+      setConnectedWallet(wallet);
+      setChainId(Number(chainId));
+      setDeployment(getDeployment(chainId));
+      rememberWallet(wallet.info.rdns);
+      // useElections reloads the list for the new provider
     } catch (error) {
       console.error('Error connecting wallet:', error);
+      if (!silent) {
+        const normalized = normalizeError(error);
+        notify({ type: normalized.code === 'REJECTED' ? 'info' : 'error', title: `Could not connect ${wallet.info.name}`, message: normalized.message });
+      }
     }
   };
 
-  // Load elections from factory
-  const loadElections = async (web3Provider = provider) => {
-    if (!web3Provider) return;
-    
-    setLoading(true);
+  // revoke: also ask the wallet to drop this site's permission, where it supports that
+  // Clearing the account drops the app back to read-only browsing
+  const disconnectWallet = ({ revoke = true } = {}) => {
+    if (revoke && connectedWallet) {
+      connectedWallet.provider
+        .request({ method: 'wallet_revokePermissions', params: [{ eth_accounts: {} }] })
+        .catch(() => {});
+    }
+    forgetWallet();
+    resetAccountState();
+    setAccount('');
+    setSigner(null);
+    setConnectedWallet(null);
+  };
+
+  // Browse without a wallet over the deployment's public RPC; every write stays disabled
+  // until a wallet connects, which swaps in a BrowserProvider and signer in place
+  const startReadOnly = () => {
+    const readOnly = getReadOnlyDeployment();
+    if (!readOnly) {
+      setProvider(null);
+      setChainId(null);
+      setDeployment(null);
+      return;
+    }
+    const rpcProvider = new ethers.JsonRpcProvider(readOnly.rpcUrl, readOnly.chainId, { staticNetwork: true });
+    setProvider(rpcProvider);
+    setChainId(readOnly.chainId);
+    setDeployment(readOnly);
+  };
+
+  // Demo mode: an in-memory chain replaying demoFixture stands in for the provider and signer,
+  // so every screen works without a node or wallet. Reloading the page starts it over.
+  const startDemo = async () => {
+    autoConnectAttemptedRef.current = true;
+    try {
+      const chain = await createSimulatedChain(demoFixture);
+      const [firstAccount] = chain.accounts;
+      // The chain starts over each time, so history from an earlier demo would point at nothing
+      chain.accounts.forEach(({ address }) => clearTransactionHistory(SIMULATED_CHAIN_ID, address));
+      resetAccountState();
+      setElections([]);
+      setSelectedElection(null);
+      setShowElectionModal(false);
+      // Detach from the wallet without forgetting it, so leaving the demo can reconnect
+      setConnectedWallet(null);
+      setDemoChain(chain);
+      setProvider(chain);
+      setSigner(chain.getSigner(firstAccount.address));
+      setAccount(firstAccount.address);
+      setChainId(SIMULATED_CHAIN_ID);
+      setDeployment(chain.deployment);
+    } catch (error) {
+      console.error('Error starting demo mode:', error);
+      notify({ type: 'error', title: 'Could not start demo mode', message: error.message });
+      if (!provider) startReadOnly();
+    }
+  };
+
+  // Act as another of the demo accounts
+  const switchDemoAccount = (address) => {
+    if (!demoChain) return;
+    resetAccountState();
+    setAccount(address);
+    setSigner(demoChain.getSigner(address));
+  };
+
+  // Back to the remembered wallet if there is one; clearing the account falls back to read-only browsing
+  const exitDemo = () => {
+    resetAccountState();
+    setElections([]);
+    setSelectedElection(null);
+    setShowElectionModal(false);
+    setDemoChain(null);
+    setAccount('');
+    setSigner(null);
+    const wallet = wallets.find(candidate => candidate.info.rdns === getRememberedWallet());
+    if (wallet) connectWith(wallet, { silent: true });
+  };
+
+  // Ask the wallet to move to a supported chain; chainChanged then re-initializes everything
+  const switchNetwork = async (target) => {
+    if (!connectedWallet) return;
+    const hexChainId = toHexChainId(target.chainId);
     try {
-      // In a real app, you would fetch from the actual contract
-      // This is mock data for demonstration
-      const mockElections = [
-        {
-          id: 1,
-          address: '0xabc123...',
-          title: 'Student Council Elections 2025',
-          description: 'Vote for your preferred candidates for the upcoming student council positions.',
-          status: 1, // Ongoing
-          candidates: 5,
-          totalVotes: 847,
-          participation: 73,
-          endTime: Date.now() + 2 * 24 * 60 * 60 * 1000, // 2 days from now
-          creator: '0x1234...',
-          votingType: 0,
-          liveResults: true
-        },
-        {
-          id: 2,
-          address: '0xdef456...',
-          title: 'Community Governance Vote',
-          description: 'Decision on the new community center funding proposal.',
-          status: 2, // Ended
-          candidates: 3,
-          totalVotes: 1245,
-          participation: 87,
-          endTime: Date.now() - 24 * 60 * 60 * 1000, // 1 day ago
-          creator: '0x5678...',
-          votingType: 0, // Winner Takes All
-          liveResults: false
-        },
-        {
-          id: 3,
-          address: '0xghi789...',
-          title: 'Board of Directors Election',
-          description: 'Annual election for board positions. Token holders eligible to vote.',
-          status: 2, // Ended
-          candidates: 4,
-          totalVotes: 892,
-          participation: 74,
-          endTime: Date.now() - 12 * 60 * 60 * 1000, // 12 hours ago
-          creator: '0x9abc...',
-          votingType: 1, // Leaderboard
-          liveResults: false
-        },
-        {
-          id: 4,
-          address: '0xjkl012...',
-          title: 'Technology Committee Selection',
-          description: 'Choose representatives for the new technology oversight committee.',
-          status: 0, // Not started
-          candidates: 6,
-          totalVotes: 0,
-          participation: 0,
-          endTime: Date.now() + 5 * 24 * 60 * 60 * 1000, // 5 days from now
-          creator: '0xdef9...',
-          votingType: 0,
-          liveResults: true
+      await connectedWallet.provider.request({
+        method: 'wallet_switchEthereumChain',
+        params: [{ chainId: hexChainId }]
+      });
+    } catch (error) {
+      // 4902: the wallet doesn't know this chain yet, so offer to add it
+      if (error.code === 4902 && target.rpcUrl) {
+        await connectedWallet.provider.request({
+          method: 'wallet_addEthereumChain',
+          params: [{
+            chainId: hexChainId,
+            chainName: target.name,
+            rpcUrls: [target.rpcUrl],
+            nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 }
+          }]
+        }).catch(addError => {
+          console.error('Error adding network:', addError);
+          notify({ type: 'error', title: `Could not add ${target.name}`, message: decodeContractError(addError) });
+        });
+      } else {
+        console.error('Error switching network:', error);
+        notify({ type: 'error', title: `Could not switch to ${target.name}`, message: decodeContractError(error) });
+      }
+    }
+  };
+
+  const handleAccountsChanged = (accounts) => {
+    if (!connectedWallet) return;
+    if (accounts.length === 0) {
+      // Disconnected from the wallet side
+      disconnectWallet({ revoke: false });
+    } else {
+      connectWith(connectedWallet, { silent: true });
+    }
+  };
+
+  // A BrowserProvider is bound to one network, so a chain switch means starting over
+  const handleChainChanged = () => {
+    if (!connectedWallet) return;
+    setElections([]);
+    setSelectedElection(null);
+    connectWith(connectedWallet, { silent: true });
+  };
+
+  // Wallet listeners outlive renders, so route events through a ref to the latest handlers
+  const walletEventHandlersRef = useRef({ handleAccountsChanged, handleChainChanged });
+  walletEventHandlersRef.current = { handleAccountsChanged, handleChainChanged };
+
+  // Apply logs from the live subscriptions: add newly created elections and
+  // re-read any election that emitted an event, so counts come straight from the chain
+  const handleLiveLogs = async (logs) => {
+    if (!provider || !deployment) return;
+    
+    const created = [];
+    const touched = new Set();
+    logs.forEach(log => {
+      if (log.address.toLowerCase() === deployment.factoryAddress.toLowerCase()) {
+        const parsed = factoryInterface.parseLog(log);
+        if (parsed?.name === 'ElectionCreated') {
+          created.push({ id: Number(parsed.args.electionId), address: parsed.args.electionAddress });
         }
-      ];
+      } else {
+        touched.add(ethers.getAddress(log.address));
+      }
+    });
+    
+    const known = new Map(elections.map(election => [election.address, election.id]));
+    const entries = [
+      ...created.filter(entry => !known.has(entry.address)),
+      ...[...touched].filter(address => known.has(address)).map(address => ({ id: known.get(address), address }))
+    ];
+    await refreshElections(entries);
+  };
+
+  // Re-read elections ([{ id, address }]) and replace every copy: the loaded list, the open
+  // details view and the index's snapshot
+  const refreshElections = async (entries) => {
+    if (!provider || entries.length === 0) return;
+    try {
+      const updated = await readElections(provider, entries, {
+        onSkipped: ({ address }) => console.warn(`Skipping election ${address}: failed to read state`)
+      });
+      const byAddress = new Map(updated.map(election => [election.address, election]));
       
-      setElections(mockElections);
+      setElections(prev => {
+        const next = prev.map(election => byAddress.get(election.address) || election);
+        const existing = new Set(prev.map(election => election.address));
+        updated.forEach(election => {
+          if (!existing.has(election.address)) next.push(election);
+        });
+        return next.sort((a, b) => b.id - a.id);
+      });
+      setSelectedElection(prev => prev && (byAddress.get(prev.address) || prev));
+
+      const index = await getElectionIndex();
+      if (index) {
+        cacheElectionSummaries(index, updated)
+          .catch(error => console.warn('Could not cache election summaries:', error));
+      }
+      syncIndex();
+      
+      // Refresh tallies when the open election changed
+      if (selectedElection && byAddress.has(selectedElection.address)) {
+        selectedState.reloadCandidates();
+      }
     } catch (error) {
-      console.error('Error loading elections:', error);
+      console.error('Error re-reading elections:', error);
     }
-    setLoading(false);
   };
 
+  // Subscriptions are long-lived, so route logs through a ref to always use the latest handler
+  const liveLogHandlerRef = useRef(handleLiveLogs);
+  liveLogHandlerRef.current = handleLiveLogs;
+
   // View election details
-  const viewElectionDetails = (election) => {
+  // section: 'results' scrolls the details to the results
+  const viewElectionDetails = (election, { section = null } = {}) => {
     setSelectedElection(election);
     setShowElectionModal(true);
+    setDetailsSection(section);
+    setNow(Date.now());
+    setCandidateForm({ name: '', description: '' });
+    setCandidateFormError('');
   };
 
   // Initiate vote process
@@ -238,155 +850,547 @@ const ElectionDApp = () => {
     setShowVoteConfirmModal(true);
   };
 
+  // Send a transaction and track it through signing, pending, and confirmation in a toast.
+  // Once it has a hash it is also recorded in the transaction history, under `election` if given.
+  // Resolves to the receipt, or null if the user rejected it, it reverted, or its outcome is unknown.
+  // Only a mined receipt settles the history entry; when the wait fails for any other reason
+  // (e.g. the RPC dropped) it stays pending and is re-checked on the next load.
+  const runTransaction = async (label, send, election = null) => {
+    const toastId = nextToastId('tx');
+    const historyElection = election && { address: election.address || null, title: election.title };
+    let hash;
+    let track = null;
+    setTxStatus({ stage: 'signing', label });
+    notify({ id: toastId, type: 'pending', title: label, message: 'Waiting for your wallet signature...' });
+    try {
+      const tx = await send();
+      hash = tx.hash;
+      track = transactionHistory.record({ hash, nonce: tx.nonce, label, election: historyElection });
+      setTxStatus({ stage: 'pending', label, hash });
+      notify({ id: toastId, type: 'pending', title: label, message: 'Submitted. Waiting for confirmation...', hash });
+
+      const receipt = await tx.wait();
+      track({ status: 'confirmed', blockNumber: receipt.blockNumber, settledAt: Date.now() });
+      notify({ id: toastId, type: 'success', title: label, message: `Confirmed in block ${receipt.blockNumber}`, hash });
+      return receipt;
+    } catch (error) {
+      console.error(`Error in transaction "${label}":`, error);
+
+      // Replaced in the wallet: a "speed up" (repriced) sends the same call, so its receipt is the outcome
+      if (track && error.code === 'TRANSACTION_REPLACED') {
+        const replacement = error.replacement;
+        track({ status: 'dropped', error: `Replaced by ${replacement.hash}.`, settledAt: Date.now() });
+        if (error.reason !== 'repriced') {
+          notify({ id: toastId, type: 'error', title: label, message: 'The transaction was replaced or cancelled in your wallet.', hash });
+          return null;
+        }
+        const succeeded = error.receipt.status === 1;
+        transactionHistory.record({ hash: replacement.hash, nonce: replacement.nonce, label, election: historyElection })({
+          status: succeeded ? 'confirmed' : 'reverted',
+          blockNumber: error.receipt.blockNumber,
+          error: succeeded ? null : 'The transaction reverted.',
+          settledAt: Date.now()
+        });
+        notify(succeeded
+          ? { id: toastId, type: 'success', title: label, message: `Confirmed in block ${error.receipt.blockNumber}`, hash: replacement.hash }
+          : { id: toastId, type: 'error', title: label, message: 'The transaction reverted.', hash: replacement.hash });
+        return succeeded ? error.receipt : null;
+      }
+
+      const normalized = normalizeError(error);
+      if (track && error.code === 'CALL_EXCEPTION' && error.receipt) {
+        track({ status: 'reverted', blockNumber: error.receipt.blockNumber, error: normalized.message, settledAt: Date.now() });
+      } else if (track) {
+        notify({
+          id: toastId,
+          type: 'info',
+          title: label,
+          message: `Could not confirm the transaction (${normalized.message}). It stays pending in the history until it settles.`,
+          hash
+        });
+        return null;
+      }
+      notify({ id: toastId, type: normalized.code === 'REJECTED' ? 'info' : 'error', title: label, message: normalized.message, hash });
+      return null;
+    } finally {
+      setTxStatus({ stage: 'idle' });
+    }
+  };
+
   // Confirm and cast vote
   const confirmVote = async () => {
-    if (!selectedCandidate || !selectedElection || !account) return;
+    if (!selectedCandidate || !selectedElection || !signer) return;
     
-    setLoading(true);
+    const election = selectedElection;
+    const candidate = selectedCandidate;
     setShowVoteConfirmModal(false);
     
-    try {
-      // In a real app, you would call the actual contract
-      console.log(`Voting for candidate ${selectedCandidate.id} (${selectedCandidate.name}) in election ${selectedElection.address}`);
-      
-      // Simulate transaction delay
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      // Record the vote
-      setUserVotes(prev => ({
-        ...prev,
-        [selectedElection.id]: selectedCandidate.id
-      }));
-      
-      // Increment candidate's vote count
-      setCandidateVotes(prev => ({
-        ...prev,
-        [selectedElection.id]: {
-          ...prev[selectedElection.id],
-          [selectedCandidate.id]: (prev[selectedElection.id]?.[selectedCandidate.id] || 0) + 1
-        }
-      }));
-      
-      // Update election total votes
-      setElections(prev => prev.map(election => 
-        election.id === selectedElection.id 
-          ? { ...election, totalVotes: election.totalVotes + 1 }
-          : election
-      ));
-      
-      alert(`Vote cast successfully for ${selectedCandidate.name}!`);
-      
-    } catch (error) {
-      console.error('Error voting:', error);
-      alert('Error voting: ' + error.message);
+    const client = electionWithSigner(election);
+    
+    if (election.useCommitReveal) {
+      await commitVote(client, election, candidate);
+      setSelectedCandidate(null);
+      return;
+    }
+    
+    const receipt = await runTransaction(
+      `Vote for ${candidate.name}`,
+      () => client.vote(candidate.id),
+      election
+    );
+    
+    if (receipt) {
+      await loadElections();
+      await Promise.all([selectedState.reload(), reloadVoterStatuses()]);
     }
     
-    setLoading(false);
     setSelectedCandidate(null);
-    setSelectedElection(null);
-    setShowElectionModal(false);
   };
 
-  // Check if user has voted in an election
-  const hasUserVoted = (electionId) => {
-    return userVotes[electionId] !== undefined;
+  // Submit a sealed vote. The secret is stored before sending so it survives a closed tab mid-transaction.
+  const commitVote = async (client, election, candidate) => {
+    const nonce = generateNonce();
+    const secret = {
+      election: election.address,
+      electionTitle: election.title,
+      voter: account,
+      candidateId: candidate.id,
+      candidateName: candidate.name,
+      nonce: nonce.toString(),
+      commitHash: computeCommitHash(candidate.id, nonce, account),
+      revealDeadline: election.revealDeadline,
+      createdAt: Date.now()
+    };
+    saveCommitSecret(secret);
+    setCommitSecrets(prev => ({ ...prev, [election.address]: secret }));
+    
+    const receipt = await runTransaction(
+      'Commit sealed vote',
+      () => client.commitVote(secret.commitHash),
+      election
+    );
+    
+    if (receipt) {
+      await Promise.all([selectedState.reloadVoter(), reloadVoterStatuses()]);
+    }
+  };
+
+  // Reveal a sealed vote using the stored secret
+  const revealVote = async (election) => {
+    const secret = commitSecrets[election.address];
+    if (!secret || !signer) return;
+    
+    setShowRevealModal(false);
+    const receipt = await runTransaction(
+      `Reveal vote for ${secret.candidateName}`,
+      () => electionWithSigner(election).revealVote(secret.candidateId, secret.nonce),
+      election
+    );
+    
+    if (receipt) {
+      await loadElections();
+      await Promise.all([selectedState.reload(), reloadVoterStatuses()]);
+    }
+  };
+
+  // Restore a commit secret from a downloaded backup file
+  const importCommitSecret = async (file, election) => {
+    setRevealImportError('');
+    try {
+      const secret = JSON.parse(await file.text());
+      if (!isValidCommitSecret(secret, election.address, account)) {
+        setRevealImportError('This backup does not belong to this election and account.');
+        return;
+      }
+      saveCommitSecret(secret);
+      setCommitSecrets(prev => ({ ...prev, [election.address]: secret }));
+    } catch (error) {
+      console.error('Error importing vote secret:', error);
+      setRevealImportError('Could not read the backup file.');
+    }
   };
 
-  // Get the candidate the user voted for
-  const getUserVotedCandidate = (electionId) => {
-    const candidateId = userVotes[electionId];
-    if (candidateId === undefined) return null;
-    const candidates = getCandidatesForElection(electionId);
-    return candidates.find(c => c.id === candidateId);
+  // What the election records about the connected account: the open election's own read,
+  // otherwise the dashboard batches. Null until loaded, and without an account.
+  const getAccountStatus = (election) =>
+    (selectedElection?.address === election.address && selectedState.voter) ||
+    voterStatuses.statuses[election.address] ||
+    visibleVoterStatuses.statuses[election.address] ||
+    null;
+
+  const hasUserVoted = (election) => !!getAccountStatus(election)?.hasVoted;
+
+  // The candidate the account voted for, from its own vote log (only looked up for the open election)
+  const getUserVotedCandidate = (election) => {
+    const vote = selectedElection?.address === election.address ? selectedState.vote : null;
+    if (!vote) return null;
+    return getCandidatesForElection(election.address).find(c => c.id === vote.candidateId) || null;
   };
 
   // Create new election
   const createElection = async (e) => {
     e.preventDefault();
-    if (!signer) return;
+    setCreateFormSubmitted(true);
+    if (!signer || !factory || hasValidationErrors(validateElectionSettings(createElectionForm))) return;
     
-    setLoading(true);
-    try {
-      // Convert form data to contract format
-      const config = {
-        title: createElectionForm.title,
-        description: createElectionForm.description,
-        startTime: Math.floor(new Date(createElectionForm.startTime).getTime() / 1000),
-        endTime: Math.floor(new Date(createElectionForm.endTime).getTime() / 1000),
-        candidateRegistrationDeadline: Math.floor(new Date(createElectionForm.candidateDeadline).getTime() / 1000),
-        votingType: parseInt(createElectionForm.votingType),
-        openCandidateRegistration: createElectionForm.openCandidateRegistration,
-        liveResultsEnabled: createElectionForm.liveResultsEnabled,
-        resultsPublic: createElectionForm.resultsPublic,
-        useCommitReveal: createElectionForm.useCommitReveal
-      };
-
-      // In a real app, you would call the actual contract
-      console.log('Creating election with config:', config);
-      
-      // Mock success
-      alert('Election created successfully! (This is a demo)');
-      setActiveTab('dashboard');
-      
-      // Reset form
-      setCreateElectionForm({
-        title: '',
-        description: '',
-        startTime: '',
-        endTime: '',
-        candidateDeadline: '',
-        votingType: '0',
-        eligibilityMode: '1',
-        minimumTokenBalance: '0',
-        requiredNFTContract: '0x0000000000000000000000000000000000000000',
-        openCandidateRegistration: true,
-        liveResultsEnabled: false,
-        resultsPublic: true,
-        useCommitReveal: false
-      });
-      
-      // Reload elections
+    const factoryWithSigner = factory.connect(signer);
+    const receipt = await runTransaction(
+      `Create "${createElectionForm.title}"`,
+      () => factoryWithSigner.createElection(toElectionSettings(createElectionForm)),
+      { title: createElectionForm.title }
+    );
+    if (!receipt) return;
+    
+    const createdEvent = factoryWithSigner.parseElectionCreated(receipt);
+    
+    setCreateElectionForm(INITIAL_ELECTION_FORM);
+    setCreateFormSubmitted(false);
+    setActiveTab('dashboard');
+    creatorElections.reload();
+    
+    const loadedElections = await loadElections();
+    if (createdEvent) {
+      // Dashboard IDs are factory election IDs, so the loaded entry already carries the real ID
+      const created = loadedElections.find(election => election.address === createdEvent.electionAddress);
+      if (created) {
+        viewElectionDetails(created);
+      }
+    }
+  };
+
+  // Owner-only election actions
+  const isElectionOwner = (election) => !!account && election.creator.toLowerCase() === account.toLowerCase();
+
+  const electionWithSigner = (election) => new ElectionClient({ address: election.address, runner: signer });
+
+  // Every management action goes through a confirmation step before the wallet prompt
+  const requestAdminAction = (election, title, message, send, onSuccess) => {
+    setPendingAdminAction({ election, title, message, send, onSuccess });
+  };
+
+  const confirmAdminAction = async () => {
+    const action = pendingAdminAction;
+    setPendingAdminAction(null);
+    if (!action || !signer) return;
+    
+    // Multi-transaction actions drive their own transactions
+    if (action.execute) {
+      await action.execute();
+      return;
+    }
+    
+    const receipt = await runTransaction(action.title, action.send, action.election);
+    if (receipt) {
+      action.onSuccess?.();
       await loadElections();
+    }
+  };
+
+  const importVoterFile = async (file) => {
+    const text = await file.text();
+    setVoterListForm(prev => ({ ...prev, addresses: text, fileName: file.name, error: '', preview: null }));
+  };
+
+  // Parse, checksum, and de-duplicate the list, then drop addresses whose
+  // isEligibleVoter flag already matches the requested change
+  const prepareVoterListChange = async (election, remove) => {
+    let entries;
+    try {
+      entries = parseVoterFile(voterListForm.addresses, voterListForm.fileName);
     } catch (error) {
-      console.error('Error creating election:', error);
-      alert('Error creating election: ' + error.message);
+      setVoterListForm(prev => ({ ...prev, error: `Could not parse list: ${error.message}`, preview: null }));
+      return;
     }
-    setLoading(false);
+    
+    const { valid, invalid, duplicates } = normalizeVoterAddresses(entries);
+    if (valid.length === 0) {
+      setVoterListForm(prev => ({ ...prev, error: 'No valid addresses found', preview: null }));
+      return;
+    }
+    
+    const eligibility = await multicall(provider, valid.map(address => ({
+      target: election.address,
+      iface: electionInterface,
+      method: 'isEligibleVoter',
+      args: [address]
+    })));
+    // Addresses whose status couldn't be read are kept; both contract functions skip no-ops
+    const addresses = valid.filter((address, index) => eligibility[index] === null || eligibility[index][0] === remove);
+    
+    setVoterListForm(prev => ({
+      ...prev,
+      error: '',
+      preview: {
+        action: remove ? 'remove' : 'add',
+        addresses,
+        invalid,
+        duplicates,
+        skipped: valid.length - addresses.length
+      }
+    }));
+  };
+
+  const requestWhitelistJob = (election) => {
+    const { preview } = voterListForm;
+    const job = createWhitelistJob({
+      election: election.address,
+      account,
+      action: preview.action,
+      addresses: preview.addresses
+    });
+    const adding = job.action === 'add';
+    
+    setPendingAdminAction({
+      title: adding ? 'Add eligible voters' : 'Remove eligible voters',
+      message: `${adding ? 'Add' : 'Remove'} ${preview.addresses.length} address${preview.addresses.length > 1 ? 'es' : ''} ${adding ? 'to' : 'from'} the whitelist of "${election.title}" in ${job.batches.length} transaction${job.batches.length > 1 ? 's' : ''}?`,
+      execute: () => executeWhitelistJob(election, job)
+    });
+  };
+
+  // Send a whitelist job's remaining batches; progress is saved so a failed batch can be resumed
+  const executeWhitelistJob = async (election, job) => {
+    const contract = electionWithSigner(election);
+    const adding = job.action === 'add';
+    setWhitelistJobs(prev => ({ ...prev, [election.address]: job }));
+    
+    const result = await runWhitelistJob(job, {
+      submitBatch: async (batch, index) => {
+        const receipt = await runTransaction(
+          `${adding ? 'Add' : 'Remove'} voters (batch ${index + 1} of ${job.batches.length})`,
+          () => adding ? contract.addEligibleVoters(batch) : contract.removeEligibleVoters(batch),
+          election
+        );
+        return receipt ? receipt.hash : null;
+      },
+      onProgress: (progress) => setWhitelistJobs(prev => ({ ...prev, [election.address]: progress }))
+    });
+    
+    const finished = result.completedBatches === result.batches.length;
+    setWhitelistJobs(prev => ({ ...prev, [election.address]: finished ? null : result }));
+    if (finished) {
+      setVoterListForm(EMPTY_VOTER_LIST_FORM);
+    }
+    await loadElections();
+  };
+
+  const discardWhitelistJob = (election) => {
+    clearWhitelistJob(election.address, account);
+    setWhitelistJobs(prev => ({ ...prev, [election.address]: null }));
+  };
+
+  // The stop moves the election's end time, so its summary (maybe older than the loaded pages) is read again
+  const requestEmergencyStop = (election) => {
+    requestAdminAction(
+      election,
+      'Emergency stop',
+      `End "${election.title}" immediately? Voting closes now and results stay hidden until you enable them. This cannot be undone.`,
+      () => electionWithSigner(election).emergencyStop(),
+      () => refreshElections([{ id: election.id, address: election.address }])
+    );
+  };
+
+  const requestResultsToggle = (election) => {
+    const enable = !election.allowResultsAfterEmergency;
+    requestAdminAction(
+      election,
+      enable ? 'Enable results' : 'Hide results',
+      `${enable ? 'Show' : 'Hide'} the results of emergency-stopped election "${election.title}"?`,
+      () => enable
+        ? electionWithSigner(election).enableResultsAfterEmergency()
+        : electionWithSigner(election).disableResultsAfterEmergency()
+    );
+  };
+
+  const requestStartRevealPhase = (election) => {
+    requestAdminAction(
+      election,
+      'Start reveal phase',
+      `Open the reveal phase for "${election.title}"? Voters have until ${new Date(election.revealDeadline).toLocaleString()} to reveal.`,
+      () => electionWithSigner(election).startRevealPhase()
+    );
+  };
+
+  // Token thresholds are shown in the governance token's units, so its decimals are read first
+  const openSettingsEditor = async (election) => {
+    const tokenDecimals = provider && deployment?.governanceTokenAddress
+      ? await readTokenDecimals(provider, deployment.governanceTokenAddress).catch(error => {
+        console.warn('Could not read the governance token decimals:', error);
+        return null;
+      })
+      : null;
+    setSettingsElection(election);
+    setSettingsForm(toSettingsForm(election, tokenDecimals));
+    setSettingsFormSubmitted(false);
+  };
+
+  const submitSettings = (e) => {
+    e.preventDefault();
+    setSettingsFormSubmitted(true);
+    if (hasValidationErrors(validateElectionSettings(settingsForm))) return;
+    
+    const election = settingsElection;
+    const settings = toElectionSettings(settingsForm);
+    
+    setSettingsElection(null);
+    requestAdminAction(
+      election,
+      'Update election settings',
+      `Save the new settings for "${election.title}"?`,
+      () => electionWithSigner(election).updateElectionSettings(settings)
+    );
   };
 
   // Register as candidate
-  const registerCandidate = async (electionAddress) => {
-    if (!signer || !candidateForm.name) return;
+  const registerCandidate = async (election) => {
+    if (!signer) return;
     
-    setLoading(true);
+    const name = candidateForm.name.trim();
+    if (!name) {
+      setCandidateFormError('Enter a candidate name.');
+      return;
+    }
+    
+    // Check the contract's require() conditions first so a guaranteed revert doesn't cost gas
+    const client = new ElectionClient({ address: election.address, runner: provider });
     try {
-      // In a real app, you would call the actual contract
-      console.log(`Registering candidate: ${candidateForm.name} in election ${electionAddress}`);
-      
-      // Mock success
-      alert('Candidate registered successfully! (This is a demo)');
-      
+      const [nameTaken, alreadyRegistered] = await Promise.all([
+        client.candidateNameExists(name),
+        client.isCandidateRegistered(account)
+      ]);
+      if (alreadyRegistered) {
+        selectedState.reloadVoter();
+        setCandidateFormError(CONTRACT_ERROR_MESSAGES['Already registered as candidate']);
+        return;
+      }
+      if (nameTaken) {
+        setCandidateFormError(CONTRACT_ERROR_MESSAGES['Candidate name already exists']);
+        return;
+      }
+    } catch (error) {
+      console.error('Error checking candidate registration:', error);
+      setCandidateFormError(decodeContractError(error));
+      return;
+    }
+    
+    setCandidateFormError('');
+    const receipt = await runTransaction(
+      `Register "${name}" as candidate`,
+      () => electionWithSigner(election).registerCandidate(name, candidateForm.description.trim()),
+      election
+    );
+    
+    if (receipt) {
       setCandidateForm({ name: '', description: '' });
       await loadElections();
+      await Promise.all([selectedState.reload(), reloadVoterStatuses()]);
+    }
+  };
+
+  // Snapshot the results at the current block and download them as CSV or JSON
+  const exportResults = async (election, format) => {
+    if (!provider) return;
+
+    setResultsExport({ electionAddress: election.address, format, error: '' });
+    try {
+      const snapshot = await readResultsSnapshot({ provider, election, viewer: account });
+      if (format === 'csv') {
+        downloadFile(`${resultsFileName(snapshot)}.csv`, resultsToCSV(snapshot), 'text/csv');
+      } else {
+        downloadFile(`${resultsFileName(snapshot)}.json`, resultsToJSON(snapshot), 'application/json');
+      }
+      setResultsExport(null);
     } catch (error) {
-      console.error('Error registering candidate:', error);
-      alert('Error registering candidate: ' + error.message);
+      console.error('Error exporting results:', error);
+      setResultsExport({ electionAddress: election.address, format, error: decodeContractError(error) });
     }
-    setLoading(false);
   };
 
-  // Filter elections
-  const filteredElections = elections.filter(election => {
-    const matchesSearch = election.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         election.description.toLowerCase().includes(searchTerm.toLowerCase());
+  // Recount the election from its vote logs and compare with the stored tallies
+  const runAudit = async (election) => {
+    if (!provider || !deployment || !canViewResults(election, account)) return;
+
+    setAudit({ election, running: true, report: null, error: '' });
+    try {
+      // Scanning can start at the election's creation block when the index has it
+      const index = await getElectionIndex();
+      const indexed = index
+        ? (await getIndexedElections(index).catch(() => [])).find(entry => entry.address === election.address)
+        : null;
+      const report = await runTallyAudit({
+        provider,
+        election,
+        fromBlock: indexed ? indexed.blockNumber : deployment.startBlock
+      });
+      setAudit(prev => prev?.election.address === election.address ? { ...prev, running: false, report } : prev);
+    } catch (error) {
+      console.error('Error auditing election:', error);
+      setAudit(prev => prev?.election.address === election.address
+        ? { ...prev, running: false, error: decodeContractError(error) }
+        : prev);
+    }
+  };
+
+  // Register the connected account as a voter
+  const registerToVote = async (election) => {
+    if (!signer) return;
     
-    const matchesStatus = !statusFilter || 
-      (statusFilter === 'ongoing' && election.status === 1) ||
-      (statusFilter === 'ended' && election.status === 2) ||
-      (statusFilter === 'not-started' && election.status === 0);
+    const receipt = await runTransaction(
+      `Register to vote in "${election.title}"`,
+      () => electionWithSigner(election).registerToVote(),
+      election
+    );
     
-    return matchesSearch && matchesStatus;
-  });
+    if (receipt) {
+      await loadElections();
+      await Promise.all([selectedState.reloadVoter(), reloadVoterStatuses()]);
+    }
+  };
+
+  // Dashboard list: every election once the index has synced, otherwise the pages loaded so far.
+  // Loaded summaries are newer reads than the snapshots, and statuses are brought up to the clock.
+  const indexSnapshot = indexedElections?.provider === provider ? indexedElections : null;
+  const allElectionsListed = !!indexSnapshot || !hasMoreElections;
+  // Statuses are worked out when the list is rebuilt; the index re-syncs every minute on the dashboard
+  const dashboardElections = useMemo(() => {
+    const listedAt = Date.now();
+    const byAddress = new Map((indexSnapshot?.elections || []).map(election => [election.address, election]));
+    elections.forEach(election => byAddress.set(election.address, election));
+    return [...byAddress.values()]
+      .map(election => ({ ...election, status: electionStatusAt(election, listedAt) }))
+      .sort((a, b) => b.id - a.id);
+  }, [indexSnapshot, elections]);
+
+  // Dashboard counters; only the total until every election is listed
+  const electionStats = useMemo(() => allElectionsListed
+    ? {
+        total: electionsTotal ?? dashboardElections.length,
+        notStarted: dashboardElections.filter(election => election.status === 0).length,
+        ongoing: dashboardElections.filter(election => election.status === 1).length,
+        ended: dashboardElections.filter(election => election.status === 2).length,
+        totalVotes: dashboardElections.reduce((sum, election) => sum + election.totalVotes, 0)
+      }
+    : { total: electionsTotal }, [dashboardElections, allElectionsListed, electionsTotal]);
+
+  // Filter and sort elections
+  const sortedElections = useMemo(() => {
+    const search = searchTerm.toLowerCase();
+    return dashboardElections
+      .filter(election => {
+        const matchesSearch = election.title.toLowerCase().includes(search) ||
+                             election.description.toLowerCase().includes(search);
+
+        const matchesStatus = !statusFilter ||
+          (statusFilter === 'ongoing' && election.status === 1) ||
+          (statusFilter === 'ended' && election.status === 2) ||
+          (statusFilter === 'not-started' && election.status === 0);
+
+        return matchesSearch && matchesStatus;
+      })
+      .sort((a, b) => ELECTION_SORTS[sortOrder].compare(a, b) || b.id - a.id);
+  }, [dashboardElections, searchTerm, statusFilter, sortOrder]);
+
+  // Whether the grid has scrolled to its last row (reported by ElectionGrid), to load the next page
+  const [gridEndReached, setGridEndReached] = useState(false);
 
   // Get status info
   const getStatusInfo = (status) => {
@@ -398,6 +1402,18 @@ const ElectionDApp = () => {
     }
   };
 
+  // Countdown as "2d 03h 12m 05s"
+  const formatCountdown = (targetTime) => {
+    const diff = Math.max(0, targetTime - now);
+    const days = Math.floor(diff / (24 * 60 * 60 * 1000));
+    const hours = Math.floor((diff % (24 * 60 * 60 * 1000)) / (60 * 60 * 1000));
+    const minutes = Math.floor((diff % (60 * 60 * 1000)) / (60 * 1000));
+    const seconds = Math.floor((diff % (60 * 1000)) / 1000);
+    const pad = (value) => String(value).padStart(2, '0');
+    
+    return `${days > 0 ? `${days}d ` : ''}${pad(hours)}h ${pad(minutes)}m ${pad(seconds)}s`;
+  };
+
   // Time formatting
   const formatTimeRemaining = (endTime) => {
     const now = Date.now();
@@ -412,17 +1428,295 @@ const ElectionDApp = () => {
     return `${hours} hour${hours > 1 ? 's' : ''}`;
   };
 
+  // Dashboard subscription: new elections from the factory, plus activity on elections still in progress
+  const liveElectionAddresses = elections
+    .filter(election => isLiveElection(election, Date.now()))
+    .map(election => election.address)
+    .join(',');
+
+  // The subscription is re-created whenever that set changes; it carries on from the last block
+  // the previous one scanned, so logs mined in between still arrive
+  const liveCursorRef = useRef({ provider: null, lastBlock: null });
+
   useEffect(() => {
-    // Auto-connect if previously connected
-    if (typeof window.ethereum !== 'undefined') {
-      window.ethereum.request({ method: 'eth_accounts' })
-        .then(accounts => {
-          if (accounts.length > 0) {
-            connectWallet();
-          }
-        });
+    if (!provider || !deployment) return;
+    const cursor = liveCursorRef.current;
+    return subscribeToLogs({
+      provider,
+      addresses: [deployment.factoryAddress, ...liveElectionAddresses.split(',').filter(Boolean)],
+      eventTopics: LIVE_EVENT_TOPICS,
+      fromBlock: cursor.provider === provider && cursor.lastBlock !== null ? cursor.lastBlock + 1 : null,
+      onLogs: (logs) => liveLogHandlerRef.current(logs),
+      onProgress: ({ lastBlock }) => { liveCursorRef.current = { provider, lastBlock }; },
+      onError: (error) => console.warn('Event poll failed, retrying:', error)
+    });
+  }, [provider, deployment, liveElectionAddresses]);
+
+  // Details subscription: follows the open election (ended ones included) until the modal closes
+  const openElectionAddress = showElectionModal && selectedElection ? selectedElection.address : null;
+
+  useEffect(() => {
+    if (!provider || !openElectionAddress) return;
+    return subscribeToLogs({
+      provider,
+      addresses: [openElectionAddress],
+      eventTopics: LIVE_EVENT_TOPICS,
+      onLogs: (logs) => liveLogHandlerRef.current(logs),
+      onError: (error) => console.warn('Event poll failed, retrying:', error)
+    });
+  }, [provider, openElectionAddress]);
+
+  useEffect(() => {
+    if (!showElectionModal) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [showElectionModal]);
+
+  // My Activity badges count down in minutes
+  useEffect(() => {
+    if (activeTab !== 'activity') return;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 30 * 1000);
+    return () => clearInterval(timer);
+  }, [activeTab]);
+
+  useEffect(() => {
+    // Pick up commit secrets saved for the connected account
+    if (!account) {
+      setCommitSecrets({});
+      return;
+    }
+    const secrets = {};
+    elections.forEach(election => {
+      if (!election.useCommitReveal) return;
+      const secret = loadCommitSecret(election.address, account);
+      if (secret) secrets[election.address] = secret;
+    });
+    setCommitSecrets(secrets);
+  }, [account, elections]);
+
+  useEffect(() => {
+    // Pick up whitelist imports that stopped partway through
+    if (!account) {
+      setWhitelistJobs({});
+      return;
+    }
+    const jobs = {};
+    elections.forEach(election => {
+      const job = loadWhitelistJob(election.address, account);
+      if (job) jobs[election.address] = job;
+    });
+    setWhitelistJobs(jobs);
+  }, [account, elections]);
+
+  useEffect(() => discoverWallets(setWallets), []);
+
+  // Factory ID of an election proxy: from the event index when there is one, else from its creation log
+  const findElectionId = async (address) => {
+    const index = await getElectionIndex();
+    const indexed = index && (await getIndexedElections(index).catch(() => []))
+      .find(entry => entry.address.toLowerCase() === address.toLowerCase());
+    if (indexed) return indexed.id;
+    return factory.findElectionId(address, { fromBlock: deployment.startBlock });
+  };
+
+  // The effects below run these on their own triggers, always calling this render's versions
+  const effectHandlersRef = useRef(null);
+  effectHandlersRef.current = { notify, findElectionId, viewElectionDetails, getElectionIndex, syncIndex, startDemo, startReadOnly, connectWith };
+
+  useEffect(() => {
+    if (electionsError) {
+      effectHandlersRef.current.notify({ id: 'elections-error', type: 'error', title: 'Could not load elections', message: decodeContractError(electionsError) });
+    }
+  }, [electionsError]);
+
+  useEffect(() => {
+    if (skippedElections.length > 0) {
+      console.warn('Skipped elections whose state could not be read:', skippedElections.map(({ address }) => address));
+    }
+  }, [skippedElections]);
+
+  useEffect(() => {
+    if (selectedState.error) {
+      effectHandlersRef.current.notify({ id: 'election-error', type: 'error', title: 'Could not read this election', message: decodeContractError(selectedState.error) });
+    }
+  }, [selectedState.error]);
+
+  // Without its statuses the cards hold back Register and Vote, so say why
+  const accountReadError = voterStatuses.error || visibleVoterStatuses.error || creatorElections.error;
+  useEffect(() => {
+    if (accountReadError) {
+      effectHandlersRef.current.notify({ id: 'account-error', type: 'error', title: 'Could not read your elections', message: decodeContractError(accountReadError) });
+    }
+  }, [accountReadError]);
+
+  // Open the election the URL points at once it has loaded. One older than the loaded
+  // pages is looked up and read on its own.
+  const routeLookupRef = useRef(null);
+  useEffect(() => {
+    if (!routedElection) return;
+    const address = routedElection.address.toLowerCase();
+    const election = elections.find(candidate => candidate.address.toLowerCase() === address);
+    if (election) {
+      setRoutedElection(null);
+      effectHandlersRef.current.viewElectionDetails(election, { section: routedElection.section });
+      return;
+    }
+    if (!factory || electionsTotal === null) return;
+    if (routeLookupRef.current?.factory === factory && routeLookupRef.current.address === address) return;
+    routeLookupRef.current = { factory, address };
+
+    effectHandlersRef.current.findElectionId(address)
+      .then(id => id === null ? [] : includeElections([id]))
+      .catch(error => {
+        console.warn(`Could not look up election ${address}:`, error);
+        return [];
+      })
+      .then(loaded => {
+        // A URL naming an election this factory doesn't have just lands on the current tab
+        if (loaded.length === 0) setRoutedElection(prev => prev?.address.toLowerCase() === address ? null : prev);
+      });
+  }, [routedElection, elections, electionsTotal, factory, includeElections]);
+
+  // The account's own elections show in Manage and My Activity however old they are
+  useEffect(() => {
+    if (creatorElections.ids) includeElections(creatorElections.ids);
+  }, [creatorElections.ids, includeElections]);
+
+  // So do the ones it votes or stands in, found through the index after each sync
+  useEffect(() => {
+    if (!account || !indexSnapshot) return;
+    let cancelled = false;
+    effectHandlersRef.current.getElectionIndex(provider)
+      .then(index => index && findAccountElectionIds(provider, index, account))
+      .then(ids => {
+        if (!cancelled && ids) includeElections(ids);
+      })
+      .catch(error => console.warn(`Could not look up the elections of ${account}:`, error));
+    return () => { cancelled = true; };
+  }, [account, indexSnapshot, provider, includeElections]);
+
+  // Statuses move with the clock, and elections outside the loaded pages get no live updates,
+  // so the index is synced (refreshing the list and counters) every minute while the dashboard is open
+  useEffect(() => {
+    if (activeTab !== 'dashboard' || !provider) return;
+    const timer = setInterval(() => effectHandlersRef.current.syncIndex(provider), 60 * 1000);
+    return () => clearInterval(timer);
+  }, [activeTab, provider]);
+
+  // Without the index, keep loading older pages while the end of the grid is in view, unless a search or filter
+  useEffect(() => {
+    // is narrowing the list (that would read every page) or the last read failed; the Load More button covers those
+    if (activeTab !== 'dashboard' || indexSnapshot || searchTerm || statusFilter || electionsError) return;
+    if (gridEndReached && hasMoreElections && !loading && !loadingMoreElections && electionsTotal !== null) {
+      loadMoreElections();
+    }
+  }, [activeTab, indexSnapshot, searchTerm, statusFilter, electionsError, gridEndReached, hasMoreElections, loading, loadingMoreElections, electionsTotal, loadMoreElections]);
+
+  // Mirror the current view into the URL (held back until a routed election has opened)
+  useEffect(() => {
+    if (routedElection) return;
+    syncUrl({
+      tab: activeTab,
+      electionAddress: showElectionModal ? selectedAddress ?? null : null,
+      section: detailsSection,
+      search: searchTerm,
+      status: statusFilter,
+      sort: sortOrder === 'newest' ? '' : sortOrder,
+      demo: !!demoChain
+    });
+  }, [routedElection, activeTab, showElectionModal, selectedAddress, detailsSection, searchTerm, statusFilter, sortOrder, demoChain]);
+
+  // Back/forward: apply the route from the history entry
+  useEffect(() => subscribeToRoute(route => {
+    setActiveTab(route.tab);
+    setSearchTerm(route.search);
+    setStatusFilter(route.status);
+    setSortOrder(ELECTION_SORTS[route.sort] ? route.sort : 'newest');
+    if (route.electionAddress) {
+      setRoutedElection({ address: route.electionAddress, section: route.section });
+    } else {
+      setShowElectionModal(false);
+    }
+  }), []);
+
+  const resultsSectionRef = useRef(null);
+  useEffect(() => {
+    if (showElectionModal && detailsSection === 'results') {
+      resultsSectionRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  }, [showElectionModal, detailsSection, selectedAddress]);
+
+  // No wallet connected (on load, or after disconnecting): fall back to read-only browsing,
+  // or start demo mode when the page was opened with ?demo=1
+  const demoOnLoadRef = useRef(initialRoute.demo);
+  useEffect(() => {
+    if (account) return;
+    if (demoOnLoadRef.current) {
+      demoOnLoadRef.current = false;
+      effectHandlersRef.current.startDemo();
+    } else {
+      effectHandlersRef.current.startReadOnly();
     }
-  }, []);
+  }, [account]);
+
+  // Auto-connect to the wallet used last time, once it has announced itself
+  const autoConnectAttemptedRef = useRef(false);
+  useEffect(() => {
+    if (autoConnectAttemptedRef.current || account) return;
+    const wallet = wallets.find(candidate => candidate.info.rdns === getRememberedWallet());
+    if (!wallet) return;
+    autoConnectAttemptedRef.current = true;
+    effectHandlersRef.current.connectWith(wallet, { silent: true });
+  }, [wallets, account]);
+
+  useEffect(() => {
+    const walletProvider = connectedWallet?.provider;
+    if (!walletProvider?.on) return;
+    const onAccountsChanged = (accounts) => walletEventHandlersRef.current.handleAccountsChanged(accounts);
+    const onChainChanged = () => walletEventHandlersRef.current.handleChainChanged();
+    walletProvider.on('accountsChanged', onAccountsChanged);
+    walletProvider.on('chainChanged', onChainChanged);
+    return () => {
+      walletProvider.removeListener('accountsChanged', onAccountsChanged);
+      walletProvider.removeListener('chainChanged', onChainChanged);
+    };
+  }, [connectedWallet]);
+
+  const createFormErrors = createFormSubmitted ? validateElectionSettings(createElectionForm) : {};
+  const settingsFormErrors = settingsFormSubmitted ? validateElectionSettings(settingsForm) : {};
+
+  const ownedElections = elections.filter(isElectionOwner);
+
+  // My Activity: each list's elections with their badges, the ones needing action first
+  const activityGroups = groupAccountActivity(elections, {
+    createdIds: creatorElections.ids || [],
+    statuses: voterStatuses.statuses
+  });
+  const activityLists = Object.fromEntries(ACTIVITY_SECTIONS.map(({ role }) => [
+    role,
+    activityGroups[role]
+      .map(election => ({
+        election,
+        actions: getPendingActions(election, role, { status: voterStatuses.statuses[election.address], now })
+      }))
+      .sort((a, b) => Number(b.actions.some(action => action.tone === 'action')) - Number(a.actions.some(action => action.tone === 'action')))
+  ]));
+  const pendingActivityCount = new Set(ACTIVITY_SECTIONS.flatMap(({ role }) => activityLists[role]
+    .filter(entry => entry.actions.some(action => action.tone === 'action'))
+    .map(entry => entry.election.address))).size;
+
+  const selectedVoterRegistration = selectedElection && selectedState.eligibility
+    ? describeEligibility(selectedState.eligibility, selectedElection)
+    : null;
+
+  const candidateRegistrationOpen = !!selectedElection &&
+    selectedElection.openCandidateRegistration &&
+    now < selectedElection.candidateDeadline;
+
+  const selectedVoteCommit = selectedElection?.useCommitReveal ? selectedState.voter?.voteCommit : null;
+  const selectedCommitSecret = selectedElection ? commitSecrets[selectedElection.address] : null;
+  const hasPendingReveal = !!selectedVoteCommit?.hasCommitted && !selectedVoteCommit.hasRevealed;
 
     return (
     <div className="min-h-screen bg-gradient-to-br from-slate-900 via-blue-900 to-slate-900">
@@ -465,25 +1759,103 @@ const ElectionDApp = () => {
                 >
                   Manage
                 </button>
+                <button
+                  onClick={() => setActiveTab('activity')}
+                  className={`relative px-4 py-2 rounded-lg transition-all duration-200 ${
+                    activeTab === 'activity' 
+                      ? 'bg-blue-500/20 text-blue-400 border border-blue-500/30' 
+                      : 'text-slate-400 hover:text-blue-400 hover:bg-slate-800/50'
+                  }`}
+                >
+                  My Activity
+                  {pendingActivityCount > 0 && (
+                    <span className="absolute -top-1 -right-1 bg-blue-500 text-white text-xs font-semibold rounded-full w-4 h-4 flex items-center justify-center">
+                      {pendingActivityCount}
+                    </span>
+                  )}
+                </button>
               </div>
             </div>
             
             <div className="flex items-center space-x-4">
-              {account ? (
+              {account && (
+                <button
+                  onClick={() => setShowHistory(true)}
+                  title="Transaction history"
+                  className="relative text-slate-400 hover:text-slate-200"
+                >
+                  <History className="w-5 h-5" />
+                  {pendingTransactionCount > 0 && (
+                    <span className="absolute -top-2 -right-2 bg-blue-500 text-white text-xs font-semibold rounded-full w-4 h-4 flex items-center justify-center">
+                      {pendingTransactionCount}
+                    </span>
+                  )}
+                </button>
+              )}
+              {demoChain ? (
+                <div className="flex items-center space-x-3 bg-amber-500/10 px-4 py-2 rounded-lg border border-amber-500/30">
+                  <FlaskConical className="w-4 h-4 text-amber-400" />
+                  <span className="text-sm font-semibold text-amber-300">Demo</span>
+                  <select
+                    value={account}
+                    onChange={(e) => switchDemoAccount(e.target.value)}
+                    title="Act as another demo account"
+                    className="bg-slate-800 border border-slate-700 rounded px-2 py-1 text-sm font-mono text-slate-300 focus:outline-none focus:border-blue-500"
+                  >
+                    {demoChain.accounts.map(({ name, address }) => (
+                      <option key={address} value={address}>
+                        {name} · {address.slice(0, 6)}...{address.slice(-4)}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={exitDemo}
+                    title="Leave demo mode"
+                    className="text-slate-400 hover:text-slate-200"
+                  >
+                    <LogOut className="w-4 h-4" />
+                  </button>
+                </div>
+              ) : account ? (
                 <div className="flex items-center space-x-3 bg-slate-800/50 px-4 py-2 rounded-lg border border-slate-700/50">
                   <Wallet className="w-4 h-4 text-green-400" />
                   <span className="text-sm font-mono text-slate-300">
                     {account.slice(0, 6)}...{account.slice(-4)}
                   </span>
                   <div className="w-2 h-2 bg-green-400 rounded-full"></div>
+                  <button
+                    onClick={() => disconnectWallet()}
+                    title={`Disconnect ${connectedWallet?.info.name || 'wallet'}`}
+                    className="text-slate-400 hover:text-slate-200"
+                  >
+                    <LogOut className="w-4 h-4" />
+                  </button>
                 </div>
               ) : (
+                <>
+                  {deployment && (
+                    <div className="flex items-center space-x-2 text-sm text-slate-400">
+                      <Eye className="w-4 h-4" />
+                      <span>Read-only · {deployment.name}</span>
+                    </div>
+                  )}
+                  <button
+                    onClick={connectWallet}
+                    className="bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-600 hover:to-purple-600 text-white px-6 py-2 rounded-lg font-semibold transition-all duration-200 flex items-center space-x-2"
+                  >
+                    <Wallet className="w-4 h-4" />
+                    <span>Connect Wallet</span>
+                  </button>
+                </>
+              )}
+              {!demoChain && (
                 <button
-                  onClick={connectWallet}
-                  className="bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-600 hover:to-purple-600 text-white px-6 py-2 rounded-lg font-semibold transition-all duration-200 flex items-center space-x-2"
+                  onClick={startDemo}
+                  title="Try the app on a simulated chain with sample elections"
+                  className="flex items-center space-x-2 text-sm text-slate-400 hover:text-amber-300 transition-colors"
                 >
-                  <Wallet className="w-4 h-4" />
-                  <span>Connect Wallet</span>
+                  <FlaskConical className="w-4 h-4" />
+                  <span>Demo</span>
                 </button>
               )}
             </div>
@@ -491,6 +1863,43 @@ const ElectionDApp = () => {
         </div>
       </nav>
 
+      {/* Demo Mode */}
+      {demoChain && (
+        <div className="bg-amber-500/10 border-b border-amber-500/30">
+          <div className="max-w-7xl mx-auto px-6 py-3 flex items-center space-x-3">
+            <FlaskConical className="w-5 h-5 text-amber-400" />
+            <span className="text-amber-200">
+              Demo mode: transactions run on a simulated chain in this tab and nothing is sent to a network. Reloading starts the demo over.
+            </span>
+          </div>
+        </div>
+      )}
+
+      {/* Unsupported Network */}
+      {account && !deployment && (
+        <div className="bg-yellow-500/10 border-b border-yellow-500/30">
+          <div className="max-w-7xl mx-auto px-6 py-3 flex items-center justify-between">
+            <div className="flex items-center space-x-3">
+              <AlertCircle className="w-5 h-5 text-yellow-400" />
+              <span className="text-yellow-200">
+                No election factory is deployed on this network (chain {chainId}). Switch to a supported network:
+              </span>
+            </div>
+            <div className="flex space-x-2">
+              {getSupportedDeployments().map(target => (
+                <button
+                  key={target.chainId}
+                  onClick={() => switchNetwork(target)}
+                  className="bg-yellow-500/20 hover:bg-yellow-500/30 text-yellow-200 px-4 py-1 rounded-lg font-medium transition-all duration-200"
+                >
+                  {target.name}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
       <div className="max-w-7xl mx-auto px-6 py-8">
         {/* Dashboard Tab */}
         {activeTab === 'dashboard' && (
@@ -505,7 +1914,23 @@ const ElectionDApp = () => {
               </p>
             </div>
 
-            {/* Search and Filter */}
+            {/* Summary: counted over every election, not just the loaded pages */}
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+              {[
+                { label: 'Elections', value: electionStats.total, color: 'text-blue-400' },
+                { label: 'Ongoing', value: electionStats.ongoing, color: 'text-green-400' },
+                { label: 'Not Started', value: electionStats.notStarted, color: 'text-yellow-400' },
+                { label: 'Ended', value: electionStats.ended, color: 'text-red-400' },
+                { label: 'Total Votes', value: electionStats.totalVotes, color: 'text-purple-400' }
+              ].map(({ label, value, color }) => (
+                <div key={label} className="bg-slate-800/50 backdrop-blur-lg rounded-2xl border border-slate-700/50 p-4 text-center">
+                  <div className={`text-2xl font-bold ${color}`}>{value ?? '–'}</div>
+                  <div className="text-xs text-slate-500">{label}</div>
+                </div>
+              ))}
+            </div>
+
+            {/* Search, Filter and Sort */}
             <div className="bg-slate-800/50 backdrop-blur-lg rounded-2xl border border-slate-700/50 p-6">
               <div className="flex flex-col md:flex-row gap-4">
                 <div className="flex-1 relative">
@@ -531,17 +1956,34 @@ const ElectionDApp = () => {
                     <option value="not-started">Not Started</option>
                   </select>
                 </div>
+                <div className="relative">
+                  <ArrowUpDown className="w-5 h-5 absolute left-3 top-1/2 transform -translate-y-1/2 text-slate-400" />
+                  <select
+                    value={sortOrder}
+                    onChange={(e) => setSortOrder(e.target.value)}
+                    className="pl-10 pr-8 py-3 bg-slate-900/50 border border-slate-600/50 rounded-lg text-slate-200 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50"
+                  >
+                    {Object.entries(ELECTION_SORTS).map(([value, { label }]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
               </div>
             </div>
 
-            {/* Elections Grid */}
-            <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
-              {filteredElections.map((election) => {
+            {/* Elections Grid: only the rows near the viewport are rendered */}
+            <ElectionGrid
+              elections={sortedElections}
+              onEndReachedChange={setGridEndReached}
+              onVisibleChange={setVisibleElectionAddresses}
+              renderCard={(election) => {
                 const statusInfo = getStatusInfo(election.status);
                 const StatusIcon = statusInfo.icon;
-                const hasVoted = hasUserVoted(election.id);
-                const votedCandidate = getUserVotedCandidate(election.id);
-                
+                const accountStatus = getAccountStatus(election);
+                const hasVoted = !!accountStatus?.hasVoted;
+                const hasSealedVote = !hasVoted && !!accountStatus?.voteCommit.hasCommitted;
+                const isIneligible = !!accountStatus && !accountStatus.isEligibleVoter;
+        
                 return (
                   <div
                     key={election.id}
@@ -553,13 +1995,13 @@ const ElectionDApp = () => {
                         <StatusIcon className="w-4 h-4" />
                         <span>{statusInfo.label}</span>
                       </div>
-                      
+              
                       {/* Title and Description */}
                       <div>
                         <h3 className="text-xl font-bold text-slate-200 mb-2">{election.title}</h3>
                         <p className="text-slate-400 text-sm line-clamp-2">{election.description}</p>
                       </div>
-                      
+              
                       {/* Voting Status */}
                       {hasVoted && (
                         <div className="bg-green-500/10 border border-green-500/20 rounded-lg p-3">
@@ -569,7 +2011,15 @@ const ElectionDApp = () => {
                           </div>
                         </div>
                       )}
-                      
+                      {hasSealedVote && (
+                        <div className="bg-purple-500/10 border border-purple-500/20 rounded-lg p-3">
+                          <div className="flex items-center space-x-2 text-purple-400 text-sm">
+                            <Lock className="w-4 h-4" />
+                            <span>Your sealed vote is in. Reveal it once voting ends.</span>
+                          </div>
+                        </div>
+                      )}
+              
                       {/* Stats */}
                       <div className="grid grid-cols-2 gap-4">
                         <div className="text-center">
@@ -585,11 +2035,11 @@ const ElectionDApp = () => {
                           <div className="text-xs text-slate-500">Participation</div>
                         </div>
                         <div className="text-center">
-                          <div className="text-2xl font-bold text-yellow-400">{formatTimeRemaining(election.endTime)}</div>
+                          <div className="text-2xl font-bold text-yellow-400">{formatTimeRemaining(election.status === 0 ? election.startTime : election.endTime)}</div>
                           <div className="text-xs text-slate-500">{election.status === 1 ? 'Remaining' : election.status === 0 ? 'Starts' : 'Ended'}</div>
                         </div>
                       </div>
-                      
+              
                       {/* Actions */}
                       <div className="flex space-x-2">
                         <button
@@ -599,7 +2049,25 @@ const ElectionDApp = () => {
                           <Eye className="w-4 h-4" />
                           <span>View</span>
                         </button>
-                        {election.status === 1 && !hasVoted && account && (
+                        {election.status === 0 && accountStatus && (
+                          <button
+                            onClick={() => viewElectionDetails(election)}
+                            className="flex-1 bg-blue-500/20 hover:bg-blue-500/30 text-blue-400 px-4 py-2 rounded-lg font-semibold transition-all duration-200 flex items-center justify-center space-x-2"
+                          >
+                            <User className="w-4 h-4" />
+                            <span>Register</span>
+                          </button>
+                        )}
+                        {election.status === 1 && !account && (
+                          <button
+                            onClick={connectWallet}
+                            className="flex-1 bg-green-500/20 hover:bg-green-500/30 text-green-400 px-4 py-2 rounded-lg font-semibold transition-all duration-200 flex items-center justify-center space-x-2"
+                          >
+                            <Wallet className="w-4 h-4" />
+                            <span>Connect to Vote</span>
+                          </button>
+                        )}
+                        {election.status === 1 && accountStatus && !hasVoted && !hasSealedVote && !isIneligible && (
                           <button
                             onClick={() => viewElectionDetails(election)}
                             disabled={loading}
@@ -618,18 +2086,51 @@ const ElectionDApp = () => {
                             <span>Voted</span>
                           </button>
                         )}
+                        {election.status === 1 && !hasVoted && !hasSealedVote && isIneligible && (
+                          <button
+                            className="flex-1 bg-gray-500/20 text-gray-400 px-4 py-2 rounded-lg font-semibold cursor-not-allowed flex items-center justify-center space-x-2"
+                            disabled
+                          >
+                            <Lock className="w-4 h-4" />
+                            <span>Not Eligible</span>
+                          </button>
+                        )}
                       </div>
                     </div>
                   </div>
                 );
-              })}
-            </div>
+              }}
+            />
 
-            {filteredElections.length === 0 && (
+            {sortedElections.length === 0 && !loading && (
               <div className="text-center py-12">
                 <Vote className="w-16 h-16 text-slate-600 mx-auto mb-4" />
                 <h3 className="text-xl font-semibold text-slate-400 mb-2">No elections found</h3>
-                <p className="text-slate-500">Try adjusting your search or filter criteria</p>
+                <p className="text-slate-500">
+                  {!allElectionsListed && electionsTotal !== null
+                    ? 'Nothing in the loaded elections matches; load older elections to search further'
+                    : 'Try adjusting your search or filter criteria'}
+                </p>
+              </div>
+            )}
+
+            {/* Without the index, older pages load as the grid scrolls; the button covers searches and filters */}
+            {electionsTotal !== null && !indexSnapshot && (
+              <div className="flex flex-col items-center space-y-3">
+                <p className="text-sm text-slate-500">
+                  {elections.length} of {electionsTotal} elections loaded
+                  {(sortOrder !== 'newest' || searchTerm || statusFilter) && hasMoreElections && ', sorting and filters apply to the loaded ones'}
+                </p>
+                {hasMoreElections && (
+                  <button
+                    onClick={loadMoreElections}
+                    disabled={loadingMoreElections}
+                    className="bg-slate-700/50 hover:bg-slate-700 disabled:opacity-60 text-slate-300 px-6 py-2 rounded-lg font-semibold transition-all duration-200 flex items-center space-x-2"
+                  >
+                    {loadingMoreElections && <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-400"></div>}
+                    <span>{loadingMoreElections ? 'Loading...' : 'Load Older Elections'}</span>
+                  </button>
+                )}
               </div>
             )}
           </div>
@@ -644,7 +2145,7 @@ const ElectionDApp = () => {
                 <p className="text-slate-400">Set up a new decentralized election with custom parameters</p>
               </div>
               
-              <form onSubmit={createElection} className="space-y-8">
+              <form onSubmit={createElection} noValidate className="space-y-8">
                 {/* Basic Information */}
                 <div className="space-y-6">
                   <h3 className="text-xl font-semibold text-blue-400 flex items-center space-x-2">
@@ -663,6 +2164,9 @@ const ElectionDApp = () => {
                         placeholder="e.g., Student Council Elections 2025"
                         className="w-full px-4 py-3 bg-slate-900/50 border border-slate-600/50 rounded-lg text-slate-200 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50"
                       />
+                      {createFormErrors.title && (
+                        <p className="text-sm text-red-400 mt-1">{createFormErrors.title}</p>
+                      )}
                     </div>
                     
                     <div>
@@ -708,6 +2212,9 @@ const ElectionDApp = () => {
                         onChange={(e) => setCreateElectionForm(prev => ({ ...prev, candidateDeadline: e.target.value }))}
                         className="w-full px-4 py-3 bg-slate-900/50 border border-slate-600/50 rounded-lg text-slate-200 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50"
                       />
+                      {createFormErrors.candidateDeadline && (
+                        <p className="text-sm text-red-400 mt-1">{createFormErrors.candidateDeadline}</p>
+                      )}
                     </div>
                     
                     <div>
@@ -719,6 +2226,9 @@ const ElectionDApp = () => {
                         onChange={(e) => setCreateElectionForm(prev => ({ ...prev, startTime: e.target.value }))}
                         className="w-full px-4 py-3 bg-slate-900/50 border border-slate-600/50 rounded-lg text-slate-200 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50"
                       />
+                      {createFormErrors.startTime && (
+                        <p className="text-sm text-red-400 mt-1">{createFormErrors.startTime}</p>
+                      )}
                     </div>
                     
                     <div>
@@ -730,6 +2240,9 @@ const ElectionDApp = () => {
                         onChange={(e) => setCreateElectionForm(prev => ({ ...prev, endTime: e.target.value }))}
                         className="w-full px-4 py-3 bg-slate-900/50 border border-slate-600/50 rounded-lg text-slate-200 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50"
                       />
+                      {createFormErrors.endTime && (
+                        <p className="text-sm text-red-400 mt-1">{createFormErrors.endTime}</p>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -765,8 +2278,30 @@ const ElectionDApp = () => {
                           onChange={(e) => setCreateElectionForm(prev => ({ ...prev, minimumTokenBalance: e.target.value }))}
                           placeholder="100"
                           min="0"
+                          step="any"
+                          className="w-full px-4 py-3 bg-slate-900/50 border border-slate-600/50 rounded-lg text-slate-200 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50"
+                        />
+                        {createFormErrors.minimumTokenBalance && (
+                          <p className="text-sm text-red-400 mt-1">{createFormErrors.minimumTokenBalance}</p>
+                        )}
+                      </div>
+                    )}
+                    
+                    {createElectionForm.eligibilityMode === '2' && (
+                      <div>
+                        <label className="block text-sm font-medium text-slate-300 mb-2">Token Decimals</label>
+                        <input
+                          type="number"
+                          value={createElectionForm.tokenDecimals}
+                          onChange={(e) => setCreateElectionForm(prev => ({ ...prev, tokenDecimals: e.target.value }))}
+                          placeholder="18"
+                          min="0"
+                          max="36"
                           className="w-full px-4 py-3 bg-slate-900/50 border border-slate-600/50 rounded-lg text-slate-200 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50"
                         />
+                        {createFormErrors.tokenDecimals && (
+                          <p className="text-sm text-red-400 mt-1">{createFormErrors.tokenDecimals}</p>
+                        )}
                       </div>
                     )}
                     
@@ -780,6 +2315,9 @@ const ElectionDApp = () => {
                           placeholder="0x..."
                           className="w-full px-4 py-3 bg-slate-900/50 border border-slate-600/50 rounded-lg text-slate-200 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50"
                         />
+                        {createFormErrors.requiredNFTContract && (
+                          <p className="text-sm text-red-400 mt-1">{createFormErrors.requiredNFTContract}</p>
+                        )}
                       </div>
                     )}
                   </div>
@@ -855,11 +2393,11 @@ const ElectionDApp = () => {
                 <div className="text-center pt-6">
                   <button
                     type="submit"
-                    disabled={loading || !account}
+                    disabled={loading || txStatus.stage !== 'idle' || !account}
                     className="bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-600 hover:to-purple-600 disabled:from-slate-600 disabled:to-slate-600 text-white px-8 py-3 rounded-lg font-semibold transition-all duration-200 flex items-center justify-center space-x-2 mx-auto"
                   >
                     <Plus className="w-5 h-5" />
-                    <span>{loading ? 'Creating...' : 'Create Election'}</span>
+                    <span>{txStatus.stage !== 'idle' ? 'Creating...' : 'Create Election'}</span>
                   </button>
                   {!account && (
                     <p className="text-sm text-slate-500 mt-2">Please connect your wallet to create an election</p>
@@ -878,11 +2416,377 @@ const ElectionDApp = () => {
               <p className="text-slate-400">Manage your elections and view detailed analytics</p>
             </div>
 
-            <div className="bg-slate-800/50 backdrop-blur-lg rounded-2xl border border-slate-700/50 p-8 text-center">
-              <Settings className="w-16 h-16 text-slate-600 mx-auto mb-4" />
-              <h3 className="text-xl font-semibold text-slate-400 mb-2">Management Panel Coming Soon</h3>
-              <p className="text-slate-500">Advanced election management features will be available here</p>
+            {ownedElections.length === 0 && (
+              <div className="bg-slate-800/50 backdrop-blur-lg rounded-2xl border border-slate-700/50 p-8 text-center">
+                <Settings className="w-16 h-16 text-slate-600 mx-auto mb-4" />
+                <h3 className="text-xl font-semibold text-slate-400 mb-2">
+                  {account ? 'No elections to manage' : 'Connect your wallet'}
+                </h3>
+                <p className="text-slate-500">
+                  {account
+                    ? 'Elections you create will appear here'
+                    : 'Connect the wallet that owns your elections to manage them'}
+                </p>
+              </div>
+            )}
+
+            <div className="space-y-6">
+              {ownedElections.map((election) => {
+                const statusInfo = getStatusInfo(election.status);
+                const StatusIcon = statusInfo.icon;
+                // Same preconditions the contract enforces for each action
+                const canEditVoters = election.status === 0 && election.eligibilityMode === 0;
+                const canEditSettings = election.status === 0;
+                const canEmergencyStop = !election.isEmergencyStopped && election.status !== 2;
+                const canStartReveal = election.useCommitReveal && election.status === 2 && !election.isRevealPhase;
+                const isEditingVoters = voterListForm.electionAddress === election.address;
+                const whitelistJob = whitelistJobs[election.address];
+                
+                return (
+                  <div
+                    key={election.address}
+                    className="bg-slate-800/50 backdrop-blur-lg rounded-2xl border border-slate-700/50 p-6 space-y-6"
+                  >
+                    {/* Header */}
+                    <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+                      <div className="space-y-2">
+                        <div className="flex items-center space-x-3">
+                          <div className={`inline-flex items-center space-x-2 px-3 py-1 rounded-full text-sm font-semibold ${statusInfo.bg} ${statusInfo.color}`}>
+                            <StatusIcon className="w-4 h-4" />
+                            <span>{statusInfo.label}</span>
+                          </div>
+                          {election.isEmergencyStopped && (
+                            <div className="inline-flex items-center space-x-2 px-3 py-1 rounded-full text-sm font-semibold bg-red-500/20 text-red-400">
+                              <AlertCircle className="w-4 h-4" />
+                              <span>Emergency Stopped</span>
+                            </div>
+                          )}
+                          {election.isRevealPhase && (
+                            <div className="inline-flex items-center space-x-2 px-3 py-1 rounded-full text-sm font-semibold bg-purple-500/20 text-purple-400">
+                              <Unlock className="w-4 h-4" />
+                              <span>Reveal Phase</span>
+                            </div>
+                          )}
+                        </div>
+                        <h3 className="text-xl font-bold text-slate-200">{election.title}</h3>
+                        <p className="text-sm font-mono text-slate-500">{election.address}</p>
+                      </div>
+                      <button
+                        onClick={() => viewElectionDetails(election)}
+                        className="bg-blue-500/20 hover:bg-blue-500/30 text-blue-400 px-4 py-2 rounded-lg font-semibold transition-all duration-200 flex items-center justify-center space-x-2"
+                      >
+                        <Eye className="w-4 h-4" />
+                        <span>View</span>
+                      </button>
+                    </div>
+                    
+                    {/* Stats */}
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                      <div className="text-center p-4 bg-slate-900/50 rounded-lg">
+                        <div className="text-2xl font-bold text-blue-400">{election.candidates}</div>
+                        <div className="text-sm text-slate-500">Candidates</div>
+                      </div>
+                      <div className="text-center p-4 bg-slate-900/50 rounded-lg">
+                        <div className="text-2xl font-bold text-green-400">{election.totalVotes}</div>
+                        <div className="text-sm text-slate-500">Total Votes</div>
+                      </div>
+                      <div className="text-center p-4 bg-slate-900/50 rounded-lg">
+                        <div className="text-2xl font-bold text-purple-400">{election.eligibleVoters}</div>
+                        <div className="text-sm text-slate-500">Eligible Voters</div>
+                      </div>
+                      <div className="text-center p-4 bg-slate-900/50 rounded-lg">
+                        <div className="text-lg font-bold text-yellow-400">{ELIGIBILITY_MODE_LABELS[election.eligibilityMode]}</div>
+                        <div className="text-sm text-slate-500">Eligibility</div>
+                      </div>
+                    </div>
+                    
+                    {/* Actions */}
+                    <div className="flex flex-wrap gap-3">
+                      <button
+                        onClick={() => openSettingsEditor(election)}
+                        disabled={!canEditSettings}
+                        title={canEditSettings ? '' : 'Settings can only be changed before the election starts'}
+                        className="bg-slate-700 hover:bg-slate-600 disabled:opacity-40 disabled:cursor-not-allowed text-slate-200 px-4 py-2 rounded-lg font-medium transition-all duration-200 flex items-center space-x-2"
+                      >
+                        <Settings className="w-4 h-4" />
+                        <span>Edit Settings</span>
+                      </button>
+                      <button
+                        onClick={() => setVoterListForm({ ...EMPTY_VOTER_LIST_FORM, electionAddress: isEditingVoters ? '' : election.address })}
+                        disabled={!canEditVoters}
+                        title={canEditVoters ? '' : 'Voter lists can only be edited on whitelist elections before they start'}
+                        className="bg-slate-700 hover:bg-slate-600 disabled:opacity-40 disabled:cursor-not-allowed text-slate-200 px-4 py-2 rounded-lg font-medium transition-all duration-200 flex items-center space-x-2"
+                      >
+                        <Users className="w-4 h-4" />
+                        <span>Edit Voters</span>
+                      </button>
+                      {election.useCommitReveal && (
+                        <button
+                          onClick={() => requestStartRevealPhase(election)}
+                          disabled={!canStartReveal}
+                          title={canStartReveal ? '' : 'The reveal phase can be started once, after the election ends'}
+                          className="bg-purple-500/20 hover:bg-purple-500/30 disabled:opacity-40 disabled:cursor-not-allowed text-purple-400 px-4 py-2 rounded-lg font-medium transition-all duration-200 flex items-center space-x-2"
+                        >
+                          <Unlock className="w-4 h-4" />
+                          <span>Start Reveal Phase</span>
+                        </button>
+                      )}
+                      {election.isEmergencyStopped ? (
+                        <button
+                          onClick={() => requestResultsToggle(election)}
+                          className="bg-yellow-500/20 hover:bg-yellow-500/30 text-yellow-400 px-4 py-2 rounded-lg font-medium transition-all duration-200 flex items-center space-x-2"
+                        >
+                          {election.allowResultsAfterEmergency ? <Lock className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+                          <span>{election.allowResultsAfterEmergency ? 'Hide Results' : 'Enable Results'}</span>
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => requestEmergencyStop(election)}
+                          disabled={!canEmergencyStop}
+                          title={canEmergencyStop ? '' : 'This election has already ended'}
+                          className="bg-red-500/20 hover:bg-red-500/30 disabled:opacity-40 disabled:cursor-not-allowed text-red-400 px-4 py-2 rounded-lg font-medium transition-all duration-200 flex items-center space-x-2"
+                        >
+                          <AlertCircle className="w-4 h-4" />
+                          <span>Emergency Stop</span>
+                        </button>
+                      )}
+                    </div>
+                    
+                    {/* Unfinished Whitelist Import */}
+                    {whitelistJob && canEditVoters && (
+                      <div className="bg-yellow-500/10 border border-yellow-500/20 rounded-lg p-4 space-y-3">
+                        <div className="flex items-center space-x-2 text-yellow-400">
+                          <AlertCircle className="w-4 h-4" />
+                          <span className="text-sm font-medium">
+                            {whitelistJob.action === 'add' ? 'Whitelist import' : 'Whitelist removal'} incomplete:{' '}
+                            {whitelistJob.completedBatches} of {whitelistJob.batches.length} batches confirmed
+                          </span>
+                        </div>
+                        <div className="bg-slate-700 rounded-full h-2 overflow-hidden">
+                          <div
+                            className="h-full bg-gradient-to-r from-yellow-400 to-orange-400 transition-all duration-500"
+                            style={{ width: `${(whitelistJob.completedBatches / whitelistJob.batches.length) * 100}%` }}
+                          />
+                        </div>
+                        <div className="flex space-x-3">
+                          <button
+                            onClick={() => executeWhitelistJob(election, whitelistJob)}
+                            disabled={txStatus.stage !== 'idle'}
+                            className="bg-yellow-500/20 hover:bg-yellow-500/30 disabled:opacity-40 text-yellow-400 px-4 py-2 rounded-lg font-medium transition-all duration-200"
+                          >
+                            Resume from batch {whitelistJob.completedBatches + 1}
+                          </button>
+                          <button
+                            onClick={() => discardWhitelistJob(election)}
+                            disabled={txStatus.stage !== 'idle'}
+                            className="bg-slate-700 hover:bg-slate-600 disabled:opacity-40 text-slate-200 px-4 py-2 rounded-lg font-medium transition-all duration-200"
+                          >
+                            Discard
+                          </button>
+                        </div>
+                      </div>
+                    )}
+                    
+                    {/* Whitelist Editor */}
+                    {isEditingVoters && canEditVoters && (
+                      <div className="bg-slate-900/50 border border-slate-700/50 rounded-lg p-4 space-y-3">
+                        <div className="flex items-center justify-between">
+                          <label className="block text-sm font-medium text-slate-300">Voter addresses (paste, or import a CSV/JSON file)</label>
+                          <input
+                            type="file"
+                            accept=".csv,.json,.txt,text/csv,application/json,text/plain"
+                            onChange={(e) => e.target.files[0] && importVoterFile(e.target.files[0])}
+                            className="text-sm text-slate-400"
+                          />
+                        </div>
+                        <textarea
+                          value={voterListForm.addresses}
+                          onChange={(e) => setVoterListForm(prev => ({ ...prev, addresses: e.target.value, fileName: '', error: '', preview: null }))}
+                          placeholder="0x..."
+                          rows={4}
+                          className="w-full px-4 py-3 bg-slate-900/50 border border-slate-600/50 rounded-lg text-slate-200 font-mono text-sm placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50 resize-none"
+                        />
+                        {voterListForm.error && (
+                          <p className="text-sm text-red-400">{voterListForm.error}</p>
+                        )}
+                        
+                        {voterListForm.preview ? (
+                          <div className="space-y-3">
+                            <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-center">
+                              <div className="p-3 bg-slate-800/50 rounded-lg">
+                                <div className="text-xl font-bold text-green-400">{voterListForm.preview.addresses.length}</div>
+                                <div className="text-xs text-slate-500">To {voterListForm.preview.action}</div>
+                              </div>
+                              <div className="p-3 bg-slate-800/50 rounded-lg">
+                                <div className="text-xl font-bold text-slate-300">{voterListForm.preview.skipped}</div>
+                                <div className="text-xs text-slate-500">
+                                  {voterListForm.preview.action === 'add' ? 'Already eligible' : 'Not on whitelist'}
+                                </div>
+                              </div>
+                              <div className="p-3 bg-slate-800/50 rounded-lg">
+                                <div className="text-xl font-bold text-slate-300">{voterListForm.preview.duplicates}</div>
+                                <div className="text-xs text-slate-500">Duplicates dropped</div>
+                              </div>
+                              <div className="p-3 bg-slate-800/50 rounded-lg">
+                                <div className="text-xl font-bold text-red-400">{voterListForm.preview.invalid.length}</div>
+                                <div className="text-xs text-slate-500">Invalid</div>
+                              </div>
+                            </div>
+                            {voterListForm.preview.invalid.length > 0 && (
+                              <p className="text-sm text-red-400 font-mono break-all">
+                                Skipping invalid: {voterListForm.preview.invalid.slice(0, 5).join(', ')}
+                                {voterListForm.preview.invalid.length > 5 && ` and ${voterListForm.preview.invalid.length - 5} more`}
+                              </p>
+                            )}
+                            <div className="flex space-x-3">
+                              <button
+                                onClick={() => requestWhitelistJob(election)}
+                                disabled={voterListForm.preview.addresses.length === 0 || !!whitelistJob}
+                                title={whitelistJob ? 'Resume or discard the unfinished import first' : ''}
+                                className="bg-green-500/20 hover:bg-green-500/30 disabled:opacity-40 disabled:cursor-not-allowed text-green-400 px-4 py-2 rounded-lg font-medium transition-all duration-200"
+                              >
+                                Submit {voterListForm.preview.addresses.length} address{voterListForm.preview.addresses.length === 1 ? '' : 'es'}
+                              </button>
+                              <button
+                                onClick={() => setVoterListForm(prev => ({ ...prev, preview: null }))}
+                                className="bg-slate-700 hover:bg-slate-600 text-slate-200 px-4 py-2 rounded-lg font-medium transition-all duration-200"
+                              >
+                                Back
+                              </button>
+                            </div>
+                          </div>
+                        ) : (
+                          <div className="flex space-x-3">
+                            <button
+                              onClick={() => prepareVoterListChange(election, false)}
+                              className="bg-green-500/20 hover:bg-green-500/30 text-green-400 px-4 py-2 rounded-lg font-medium transition-all duration-200 flex items-center space-x-2"
+                            >
+                              <Plus className="w-4 h-4" />
+                              <span>Add Voters</span>
+                            </button>
+                            <button
+                              onClick={() => prepareVoterListChange(election, true)}
+                              className="bg-red-500/20 hover:bg-red-500/30 text-red-400 px-4 py-2 rounded-lg font-medium transition-all duration-200 flex items-center space-x-2"
+                            >
+                              <X className="w-4 h-4" />
+                              <span>Remove Voters</span>
+                            </button>
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
+        {activeTab === 'activity' && (
+          <div className="space-y-8">
+            <div className="text-center">
+              <h2 className="text-3xl font-bold text-slate-200 mb-2">🧭 My Activity</h2>
+              <p className="text-slate-400">Elections you created, can vote in, or stand in as a candidate</p>
+              {account && !indexSnapshot && hasMoreElections && (
+                <p className="text-sm text-slate-500 mt-2">Voting and candidate lists cover the {elections.length} elections loaded so far</p>
+              )}
             </div>
+
+            {!account ? (
+              <div className="bg-slate-800/50 backdrop-blur-lg rounded-2xl border border-slate-700/50 p-8 text-center">
+                <User className="w-16 h-16 text-slate-600 mx-auto mb-4" />
+                <h3 className="text-xl font-semibold text-slate-400 mb-2">Connect your wallet</h3>
+                <p className="text-slate-500">Connect a wallet to see the elections you take part in</p>
+              </div>
+            ) : (
+              ACTIVITY_SECTIONS.map(({ role, title, empty }) => (
+                <div key={role} className="space-y-4">
+                  <h3 className="text-xl font-semibold text-slate-200">
+                    {title} <span className="text-slate-500">({activityLists[role].length})</span>
+                  </h3>
+                  {activityLists[role].length === 0 ? (
+                    <p className="text-slate-500">{empty}</p>
+                  ) : (
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      {activityLists[role].map(({ election, actions }) => {
+                        const statusInfo = getStatusInfo(election.status);
+                        const StatusIcon = statusInfo.icon;
+                        const isOwner = role === 'created' && isElectionOwner(election);
+                        const canStartReveal = election.useCommitReveal && election.status === 2 && !election.isRevealPhase;
+                        const canEmergencyStop = !election.isEmergencyStopped && election.status !== 2;
+                        
+                        return (
+                          <div
+                            key={election.address}
+                            className="bg-slate-800/50 backdrop-blur-lg rounded-2xl border border-slate-700/50 p-5 space-y-4"
+                          >
+                            <div className="flex items-start justify-between gap-3">
+                              <div className="min-w-0">
+                                <h4 className="text-lg font-bold text-slate-200 truncate">{election.title}</h4>
+                                <p className="text-xs font-mono text-slate-500 truncate">{election.address}</p>
+                              </div>
+                              <div className={`inline-flex items-center space-x-2 px-3 py-1 rounded-full text-sm font-semibold flex-shrink-0 ${statusInfo.bg} ${statusInfo.color}`}>
+                                <StatusIcon className="w-4 h-4" />
+                                <span>{statusInfo.label}</span>
+                              </div>
+                            </div>
+                            
+                            {actions.length > 0 && (
+                              <div className="flex flex-wrap gap-2">
+                                {actions.map(action => (
+                                  <span key={action.label} className={`px-2 py-1 rounded-full text-xs font-medium ${ACTIVITY_TONES[action.tone]}`}>
+                                    {action.label}
+                                  </span>
+                                ))}
+                              </div>
+                            )}
+                            
+                            <div className="flex flex-wrap gap-2">
+                              <button
+                                onClick={() => viewElectionDetails(election)}
+                                className="bg-blue-500/20 hover:bg-blue-500/30 text-blue-400 px-4 py-2 rounded-lg font-semibold transition-all duration-200 flex items-center space-x-2"
+                              >
+                                <Eye className="w-4 h-4" />
+                                <span>View</span>
+                              </button>
+                              {isOwner && (
+                                <button
+                                  onClick={() => setActiveTab('manage')}
+                                  className="bg-slate-700/50 hover:bg-slate-700 text-slate-300 px-4 py-2 rounded-lg font-semibold transition-all duration-200 flex items-center space-x-2"
+                                >
+                                  <Settings className="w-4 h-4" />
+                                  <span>Manage</span>
+                                </button>
+                              )}
+                              {isOwner && canStartReveal && (
+                                <button
+                                  onClick={() => requestStartRevealPhase(election)}
+                                  disabled={!signer}
+                                  className="bg-purple-500/20 hover:bg-purple-500/30 disabled:opacity-40 disabled:cursor-not-allowed text-purple-400 px-4 py-2 rounded-lg font-semibold transition-all duration-200 flex items-center space-x-2"
+                                >
+                                  <Unlock className="w-4 h-4" />
+                                  <span>Start Reveal</span>
+                                </button>
+                              )}
+                              {isOwner && canEmergencyStop && (
+                                <button
+                                  onClick={() => requestEmergencyStop(election)}
+                                  disabled={!signer}
+                                  className="bg-red-500/20 hover:bg-red-500/30 disabled:opacity-40 disabled:cursor-not-allowed text-red-400 px-4 py-2 rounded-lg font-semibold transition-all duration-200 flex items-center space-x-2"
+                                >
+                                  <AlertCircle className="w-4 h-4" />
+                                  <span>Emergency Stop</span>
+                                </button>
+                              )}
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  )}
+                </div>
+              ))
+            )}
           </div>
         )}
       </div>
@@ -927,7 +2831,7 @@ const ElectionDApp = () => {
               </div>
 
               {/* Voting Status Check */}
-              {hasUserVoted(selectedElection.id) && (
+              {hasUserVoted(selectedElection) && (
                 <div className="mb-6 p-4 bg-green-500/10 border border-green-500/20 rounded-lg">
                   <div className="flex items-center justify-between">
                     <div className="flex items-center space-x-3">
@@ -941,37 +2845,255 @@ const ElectionDApp = () => {
                     </div>
                     <button
                       onClick={() => {
-                        const candidate = getUserVotedCandidate(selectedElection.id);
+                        const candidate = getUserVotedCandidate(selectedElection);
                         if (candidate) {
                           setSelectedCandidate(candidate);
                           setShowVotedCandidateModal(true);
                         }
                       }}
-                      className="bg-green-500/20 hover:bg-green-500/30 text-green-400 px-4 py-2 rounded-lg font-medium transition-all duration-200"
+                      disabled={!getUserVotedCandidate(selectedElection)}
+                      className="bg-green-500/20 hover:bg-green-500/30 disabled:opacity-40 disabled:cursor-not-allowed text-green-400 px-4 py-2 rounded-lg font-medium transition-all duration-200"
                     >
-                      See Who You Voted For
+                      {getUserVotedCandidate(selectedElection) ? 'See Who You Voted For' : 'Finding your vote...'}
                     </button>
                   </div>
                 </div>
               )}
 
+              {/* Voter Registration */}
+              {selectedElection.status === 0 && (
+                <div className="mb-6 p-4 bg-green-500/10 border border-green-500/20 rounded-lg space-y-3">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center space-x-3">
+                      <Users className="w-5 h-5 text-green-400" />
+                      <div>
+                        <div className="text-green-400 font-medium">
+                          Voter registration: {ELIGIBILITY_MODE_LABELS[selectedElection.eligibilityMode]}
+                        </div>
+                        <div className="text-sm text-slate-400">
+                          {ELIGIBILITY_MODE_DESCRIPTIONS[selectedElection.eligibilityMode]}
+                        </div>
+                      </div>
+                    </div>
+                    {account && selectedVoterRegistration && !selectedVoterRegistration.registered && (
+                      <button
+                        onClick={() => registerToVote(selectedElection)}
+                        disabled={txStatus.stage !== 'idle' || selectedVoterRegistration.qualifies === false}
+                        className="bg-green-500/20 hover:bg-green-500/30 disabled:opacity-40 disabled:cursor-not-allowed text-green-400 px-4 py-2 rounded-lg font-semibold transition-all duration-200 flex items-center space-x-2"
+                      >
+                        <User className="w-4 h-4" />
+                        <span>Register to Vote</span>
+                      </button>
+                    )}
+                  </div>
+                  
+                  {!account ? (
+                    <p className="text-sm text-slate-500">Connect your wallet to check your eligibility</p>
+                  ) : !selectedVoterRegistration ? (
+                    <p className="text-sm text-slate-500">Checking your eligibility...</p>
+                  ) : selectedVoterRegistration.registered ? (
+                    <div className="flex items-center space-x-2 text-green-400 text-sm">
+                      <CheckCircle className="w-4 h-4" />
+                      <span>You are registered to vote in this election.</span>
+                    </div>
+                  ) : (
+                    <div className={`flex items-center space-x-2 text-sm ${
+                      selectedVoterRegistration.qualifies === true ? 'text-green-400' :
+                      selectedVoterRegistration.qualifies === false ? 'text-red-400' : 'text-yellow-400'
+                    }`}>
+                      {selectedVoterRegistration.qualifies === true ? <CheckCircle className="w-4 h-4" /> : <AlertCircle className="w-4 h-4" />}
+                      <span>
+                        {selectedVoterRegistration.qualifies === true ? 'You qualify. ' :
+                         selectedVoterRegistration.qualifies === false ? 'You do not qualify. ' : ''}
+                        {selectedVoterRegistration.detail}
+                      </span>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Candidate Registration */}
+              {candidateRegistrationOpen && (
+                <div className="mb-6 p-4 bg-blue-500/10 border border-blue-500/20 rounded-lg space-y-4">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center space-x-3">
+                      <User className="w-5 h-5 text-blue-400" />
+                      <div>
+                        <div className="text-blue-400 font-medium">Candidate registration is open</div>
+                        <div className="text-sm text-slate-400">
+                          Closes in <span className="font-mono text-slate-300">{formatCountdown(selectedElection.candidateDeadline)}</span>
+                        </div>
+                      </div>
+                    </div>
+                  </div>
+                  
+                  {!account ? (
+                    <p className="text-sm text-slate-500">Connect your wallet to register as a candidate</p>
+                  ) : selectedState.voter?.isCandidateRegistered ? (
+                    <div className="flex items-center space-x-2 text-green-400 text-sm">
+                      <CheckCircle className="w-4 h-4" />
+                      <span>You are registered as a candidate in this election.</span>
+                    </div>
+                  ) : (
+                    <div className="space-y-3">
+                      <input
+                        type="text"
+                        value={candidateForm.name}
+                        onChange={(e) => {
+                          setCandidateForm(prev => ({ ...prev, name: e.target.value }));
+                          setCandidateFormError('');
+                        }}
+                        placeholder="Candidate name"
+                        className="w-full px-4 py-3 bg-slate-900/50 border border-slate-600/50 rounded-lg text-slate-200 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50"
+                      />
+                      <textarea
+                        value={candidateForm.description}
+                        onChange={(e) => setCandidateForm(prev => ({ ...prev, description: e.target.value }))}
+                        placeholder="Describe your platform..."
+                        rows={3}
+                        className="w-full px-4 py-3 bg-slate-900/50 border border-slate-600/50 rounded-lg text-slate-200 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50 resize-none"
+                      />
+                      {candidateFormError && (
+                        <p className="text-sm text-red-400">{candidateFormError}</p>
+                      )}
+                      <button
+                        onClick={() => registerCandidate(selectedElection)}
+                        disabled={txStatus.stage !== 'idle' || !candidateForm.name.trim()}
+                        className="bg-blue-500/20 hover:bg-blue-500/30 disabled:opacity-40 disabled:cursor-not-allowed text-blue-400 px-6 py-2 rounded-lg font-semibold transition-all duration-200 flex items-center space-x-2"
+                      >
+                        <Plus className="w-4 h-4" />
+                        <span>Register as Candidate</span>
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Sealed Vote (commit-reveal) */}
+              {selectedElection.useCommitReveal && hasPendingReveal && (
+                <div className="mb-6 p-4 bg-purple-500/10 border border-purple-500/20 rounded-lg">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center space-x-3">
+                      <Lock className="w-5 h-5 text-purple-400" />
+                      <div>
+                        <div className="text-purple-400 font-medium">Your sealed vote is committed</div>
+                        <div className="text-sm text-slate-400">
+                          {selectedElection.status === 2
+                            ? `Reveal it before ${new Date(selectedElection.revealDeadline).toLocaleString()} for it to count.`
+                            : 'Come back after voting ends to reveal it. Keep your backup file safe.'}
+                        </div>
+                      </div>
+                    </div>
+                    <div className="flex space-x-2">
+                      {selectedCommitSecret && (
+                        <button
+                          onClick={() => downloadCommitSecret(selectedCommitSecret)}
+                          className="bg-slate-700 hover:bg-slate-600 text-slate-200 px-4 py-2 rounded-lg font-medium transition-all duration-200"
+                        >
+                          Download Backup
+                        </button>
+                      )}
+                      {selectedElection.status === 2 && (
+                        <button
+                          onClick={() => setShowRevealModal(true)}
+                          className="bg-purple-500/20 hover:bg-purple-500/30 text-purple-400 px-4 py-2 rounded-lg font-medium transition-all duration-200 flex items-center space-x-2"
+                        >
+                          <Unlock className="w-4 h-4" />
+                          <span>Reveal Vote</span>
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              )}
+
               {/* Candidates List */}
               <div className="space-y-4">
                 <h3 className="text-xl font-semibold text-slate-200 flex items-center space-x-2">
                   <Users className="w-5 h-5" />
                   <span>
                     {selectedElection.status === 2 
-                      ? `Results (${getCandidatesForElection(selectedElection.id).length} candidates)` 
-                      : `Candidates (${getCandidatesForElection(selectedElection.id).length})`
+                      ? `Results (${getActiveCandidates(selectedElection.address).length} candidates)` 
+                      : `Candidates (${getCandidatesForElection(selectedElection.address).length})`
                     }
                   </span>
                 </h3>
                 
+                <div ref={resultsSectionRef} />
+
+                {/* Results Export */}
+                {selectedResultsVisible && (
+                  <div className="bg-slate-900/50 border border-slate-700/50 rounded-lg p-4 mb-6">
+                    <div className="flex items-center justify-between">
+                      <div>
+                        <div className="text-slate-300 font-medium">Export results</div>
+                        <p className="text-sm text-slate-500">
+                          Snapshot read at the current block, with chain ID, block number and block hash for later verification
+                        </p>
+                      </div>
+                      <div className="flex space-x-2">
+                        {['csv', 'json'].map(format => {
+                          const exporting = resultsExport?.electionAddress === selectedElection.address &&
+                            resultsExport.format === format && !resultsExport.error;
+                          return (
+                            <button
+                              key={format}
+                              onClick={() => exportResults(selectedElection, format)}
+                              disabled={exporting}
+                              className="flex items-center space-x-2 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 text-slate-200 px-4 py-2 rounded-lg font-medium transition-all duration-200"
+                            >
+                              <Download className="w-4 h-4" />
+                              <span>{exporting ? 'Exporting...' : format.toUpperCase()}</span>
+                            </button>
+                          );
+                        })}
+                      </div>
+                    </div>
+                    {resultsExport?.electionAddress === selectedElection.address && resultsExport.error && (
+                      <p className="text-sm text-red-400 mt-2">{resultsExport.error}</p>
+                    )}
+                  </div>
+                )}
+
+                {/* Tally Audit: shows per-candidate totals, so it follows the same visibility rules as the results */}
+                {selectedElection.status !== 0 && selectedResultsVisible && (
+                  <div className="bg-slate-900/50 border border-slate-700/50 rounded-lg p-4 mb-6">
+                    <div className="flex items-center justify-between">
+                      <div>
+                        <div className="text-slate-300 font-medium">Tally audit</div>
+                        <p className="text-sm text-slate-500">
+                          Recount every vote from the {selectedElection.useCommitReveal ? 'VoteRevealed' : 'VoteCast'} logs and compare with the contract's stored totals
+                        </p>
+                      </div>
+                      <button
+                        onClick={() => runAudit(selectedElection)}
+                        className="flex items-center space-x-2 bg-slate-700 hover:bg-slate-600 text-slate-200 px-4 py-2 rounded-lg font-medium transition-all duration-200"
+                      >
+                        <Search className="w-4 h-4" />
+                        <span>Run Audit</span>
+                      </button>
+                    </div>
+                  </div>
+                )}
+
+                {/* Hidden Results */}
+                {selectedElection.status === 2 && !selectedResultsVisible && (
+                  <div className="bg-slate-900/50 border border-slate-700/50 rounded-lg p-6 text-center">
+                    <Lock className="w-8 h-8 text-slate-500 mx-auto mb-2" />
+                    <div className="text-slate-300 font-medium">Results not available</div>
+                    <p className="text-sm text-slate-500">
+                      {selectedElection.isEmergencyStopped
+                        ? 'This election was emergency stopped and its results are hidden by the owner.'
+                        : 'The election owner has not made these results public.'}
+                    </p>
+                  </div>
+                )}
+
                 {/* Winner Takes All Results */}
-                {selectedElection.status === 2 && selectedElection.votingType === 0 && (
+                {selectedElection.status === 2 && selectedResultsVisible && selectedElection.votingType === 0 && getActiveCandidates(selectedElection.address).length > 0 && (
                   <div className="mb-6">
                     {(() => {
-                      const candidates = getCandidatesForElection(selectedElection.id);
+                      const candidates = getActiveCandidates(selectedElection.address);
                       const sortedCandidates = [...candidates].sort((a, b) => b.votes - a.votes);
                       const winner = sortedCandidates[0];
                       const totalVotes = candidates.reduce((sum, c) => sum + c.votes, 0);
@@ -998,7 +3120,7 @@ const ElectionDApp = () => {
                                 </div>
                                 <div className="text-center">
                                   <div className="text-3xl font-bold text-yellow-400">
-                                    {Math.round((winner.votes / totalVotes) * 100)}%
+                                    {votePercentage(winner.votes, totalVotes)}%
                                   </div>
                                   <div className="text-sm text-slate-400">of total</div>
                                 </div>
@@ -1030,7 +3152,7 @@ const ElectionDApp = () => {
                                   <div className="text-right">
                                     <div className="text-xl font-bold text-slate-300">{candidate.votes}</div>
                                     <div className="text-sm text-slate-500">
-                                      {Math.round((candidate.votes / totalVotes) * 100)}%
+                                      {votePercentage(candidate.votes, totalVotes)}%
                                     </div>
                                   </div>
                                 </div>
@@ -1044,10 +3166,10 @@ const ElectionDApp = () => {
                 )}
 
                 {/* Leaderboard Results */}
-                {selectedElection.status === 2 && selectedElection.votingType === 1 && (
+                {selectedElection.status === 2 && selectedResultsVisible && selectedElection.votingType === 1 && (
                   <div className="mb-6">
                     {(() => {
-                      const candidates = getCandidatesForElection(selectedElection.id);
+                      const candidates = getActiveCandidates(selectedElection.address);
                       const sortedCandidates = [...candidates].sort((a, b) => b.votes - a.votes);
                       const totalVotes = candidates.reduce((sum, c) => sum + c.votes, 0);
                       
@@ -1062,7 +3184,7 @@ const ElectionDApp = () => {
                           
                           <div className="space-y-3">
                             {sortedCandidates.map((candidate, index) => {
-                              const percentage = Math.round((candidate.votes / totalVotes) * 100);
+                              const percentage = votePercentage(candidate.votes, totalVotes);
                               const getRankColor = (rank) => {
                                 if (rank === 0) return 'from-yellow-400 to-orange-400';
                                 if (rank === 1) return 'from-gray-400 to-gray-500';  
@@ -1138,11 +3260,15 @@ const ElectionDApp = () => {
                   </div>
                 )}
 
+                {getCandidatesForElection(selectedElection.address).length === 0 && (
+                  <p className="text-slate-500 text-center py-6">No candidates registered yet</p>
+                )}
+
                 {/* Active Election Candidates (for ongoing/not started elections) */}
                 {selectedElection.status !== 2 && (
                   <div className="grid gap-4">
-                    {getCandidatesForElection(selectedElection.id).map((candidate) => {
-                      const isVotingAllowed = selectedElection.status === 1 && account && !hasUserVoted(selectedElection.id);
+                    {getCandidatesForElection(selectedElection.address).map((candidate) => {
+                      const isVotingAllowed = selectedElection.status === 1 && account && !hasUserVoted(selectedElection) && !selectedVoteCommit?.hasCommitted && selectedState.voter?.isEligibleVoter !== false && candidate.isActive;
                       
                       return (
                         <div
@@ -1155,9 +3281,14 @@ const ElectionDApp = () => {
                                 {candidate.avatar}
                               </div>
                               <div className="flex-1">
-                                <h4 className="text-lg font-bold text-slate-200 mb-1">{candidate.name}</h4>
+                                <h4 className="text-lg font-bold text-slate-200 mb-1 flex items-center space-x-2">
+                                  <span>{candidate.name}</span>
+                                  {!candidate.isActive && (
+                                    <span className="text-xs font-semibold px-2 py-0.5 rounded-full bg-gray-400/20 text-gray-400">Inactive</span>
+                                  )}
+                                </h4>
                                 <p className="text-slate-400 text-sm mb-2">{candidate.description}</p>
-                                {(selectedElection.liveResults || selectedElection.status === 2) && (
+                                {selectedResultsVisible && candidate.votes !== null && (
                                   <div className="flex items-center space-x-2">
                                     <TrendingUp className="w-4 h-4 text-blue-400" />
                                     <span className="text-blue-400 font-medium">{candidate.votes} votes</span>
@@ -1175,11 +3306,21 @@ const ElectionDApp = () => {
                                   <Vote className="w-4 h-4" />
                                   <span>Vote</span>
                                 </button>
+                              ) : selectedElection.status === 1 && candidate.isActive && !account ? (
+                                <button
+                                  onClick={connectWallet}
+                                  className="bg-green-500/20 hover:bg-green-500/30 text-green-400 px-6 py-2 rounded-lg font-semibold transition-all duration-200 flex items-center space-x-2"
+                                >
+                                  <Wallet className="w-4 h-4" />
+                                  <span>Connect to Vote</span>
+                                </button>
                               ) : (
                                 <div className="text-slate-500 text-sm">
                                   {selectedElection.status !== 1 ? 'Voting closed' : 
-                                   !account ? 'Connect wallet' : 
-                                   hasUserVoted(selectedElection.id) ? 'Already voted' : 'Cannot vote'}
+                                   !candidate.isActive ? 'Candidate not active' :
+                                   hasUserVoted(selectedElection) ? 'Already voted' :
+                                   selectedVoteCommit?.hasCommitted ? 'Vote sealed' :
+                                   selectedState.voter?.isEligibleVoter === false ? 'Not eligible to vote' : 'Cannot vote'}
                                 </div>
                               )}
                             </div>
@@ -1270,6 +3411,12 @@ const ElectionDApp = () => {
                 <p className="text-sm text-slate-400 mt-1">
                   This action cannot be undone. Your vote will be recorded on the blockchain.
                 </p>
+                {selectedElection.useCommitReveal && (
+                  <p className="text-sm text-slate-400 mt-2">
+                    This election uses commit-reveal voting. Your choice is sealed now and must be revealed
+                    from this browser (or a downloaded backup) after voting ends, or it will not be counted.
+                  </p>
+                )}
               </div>
               
               <div className="flex space-x-4">
@@ -1281,11 +3428,460 @@ const ElectionDApp = () => {
                 </button>
                 <button
                   onClick={confirmVote}
-                  disabled={loading}
+                  disabled={txStatus.stage !== 'idle'}
                   className="flex-1 px-4 py-2 bg-green-500 hover:bg-green-600 disabled:bg-green-600/50 text-white rounded-lg font-medium transition-all duration-200 flex items-center justify-center space-x-2"
                 >
                   <Vote className="w-4 h-4" />
-                  <span>{loading ? 'Voting...' : 'Yes, Vote'}</span>
+                  <span>Yes, Vote</span>
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Wallet Picker Modal */}
+      {showWalletPicker && (
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+          <div className="bg-slate-800 rounded-2xl border border-slate-700 max-w-md w-full p-6">
+            <div className="flex justify-between items-start mb-6">
+              <h3 className="text-xl font-bold text-slate-200">Connect a Wallet</h3>
+              <button
+                onClick={() => setShowWalletPicker(false)}
+                className="text-slate-400 hover:text-slate-200 p-2"
+              >
+                <X className="w-6 h-6" />
+              </button>
+            </div>
+
+            {wallets.length === 0 ? (
+              <div className="text-center">
+                <Wallet className="w-12 h-12 text-slate-500 mx-auto mb-4" />
+                <p className="text-slate-400">
+                  No browser wallet was found. Install an Ethereum wallet extension such as MetaMask, then reload this page.
+                </p>
+              </div>
+            ) : (
+              <div className="space-y-3">
+                {wallets.map(wallet => (
+                  <button
+                    key={wallet.info.uuid}
+                    onClick={() => connectWith(wallet)}
+                    className="w-full flex items-center space-x-4 bg-slate-900/50 hover:bg-slate-700/50 border border-slate-700/50 rounded-lg px-4 py-3 transition-all duration-200"
+                  >
+                    {wallet.info.icon
+                      ? <img src={wallet.info.icon} alt="" className="w-8 h-8 rounded" />
+                      : <Wallet className="w-8 h-8 text-slate-400" />}
+                    <span className="text-slate-200 font-medium">{wallet.info.name}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Tally Audit Modal */}
+      {audit && (
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+          <div className="bg-slate-800 rounded-2xl border border-slate-700 max-w-3xl max-h-[90vh] overflow-y-auto w-full p-6">
+            <div className="flex justify-between items-start mb-6">
+              <div>
+                <h2 className="text-2xl font-bold text-slate-200 mb-1">Tally Audit</h2>
+                <p className="text-slate-400">{audit.election.title}</p>
+              </div>
+              <button
+                onClick={() => setAudit(null)}
+                className="text-slate-400 hover:text-slate-200 p-2"
+              >
+                <X className="w-6 h-6" />
+              </button>
+            </div>
+
+            {audit.running && (
+              <div className="text-center py-8">
+                <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-400 mx-auto mb-4"></div>
+                <p className="text-slate-400">Scanning vote logs...</p>
+              </div>
+            )}
+
+            {audit.error && (
+              <div className="bg-red-500/10 border border-red-500/50 rounded-lg p-4 text-red-400">{audit.error}</div>
+            )}
+
+            {audit.report && (() => {
+              const { report } = audit;
+              return (
+                <div className="space-y-6">
+                  <div className={`flex items-center space-x-3 rounded-lg p-4 border ${
+                    report.passed ? 'bg-green-500/10 border-green-500/50' : 'bg-red-500/10 border-red-500/50'
+                  }`}>
+                    {report.passed
+                      ? <CheckCircle className="w-6 h-6 text-green-400" />
+                      : <AlertCircle className="w-6 h-6 text-red-400" />}
+                    <div>
+                      <div className={`font-semibold ${report.passed ? 'text-green-400' : 'text-red-400'}`}>
+                        {report.passed
+                          ? 'Logs match the stored tallies'
+                          : `${report.findings.length} discrepanc${report.findings.length === 1 ? 'y' : 'ies'} found`}
+                      </div>
+                      <div className="text-sm text-slate-400">
+                        Read at block {report.blockNumber} ({report.blockHash.slice(0, 10)}...) on chain {report.chainId}
+                      </div>
+                    </div>
+                  </div>
+
+                  <div className="grid grid-cols-3 gap-4 text-center">
+                    <div className="bg-slate-900/50 rounded-lg p-3">
+                      <div className="text-2xl font-bold text-slate-200">{report.eventCount}</div>
+                      <div className="text-sm text-slate-400">{report.eventName} events</div>
+                    </div>
+                    <div className="bg-slate-900/50 rounded-lg p-3">
+                      <div className="text-2xl font-bold text-slate-200">{report.storedTotalVotes}</div>
+                      <div className="text-sm text-slate-400">totalVotes()</div>
+                    </div>
+                    <div className="bg-slate-900/50 rounded-lg p-3">
+                      <div className="text-2xl font-bold text-slate-200">{report.uniqueVoters}</div>
+                      <div className="text-sm text-slate-400">Unique voters</div>
+                    </div>
+                  </div>
+
+                  <div>
+                    <h4 className="text-lg font-semibold text-slate-300 mb-3">Candidates</h4>
+                    <div className="space-y-2">
+                      {report.candidates.map(candidate => (
+                        <div
+                          key={candidate.candidateId}
+                          className="flex items-center justify-between bg-slate-900/50 border border-slate-700/50 rounded-lg px-4 py-2"
+                        >
+                          <div className="text-slate-200">
+                            #{candidate.candidateId} {candidate.name}
+                            {candidate.isActive === false && (
+                              <span className="ml-2 text-xs text-slate-500">Inactive</span>
+                            )}
+                          </div>
+                          <div className="flex items-center space-x-4 text-sm">
+                            <span className="text-slate-400">Stored: {candidate.storedVotes ?? '?'}</span>
+                            <span className="text-slate-400">From logs: {candidate.rebuiltVotes}</span>
+                            {candidate.matches
+                              ? <CheckCircle className="w-4 h-4 text-green-400" />
+                              : <AlertCircle className="w-4 h-4 text-red-400" />}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+
+                  {report.findings.length > 0 && (
+                    <div>
+                      <h4 className="text-lg font-semibold text-slate-300 mb-3">Findings</h4>
+                      <div className="space-y-3">
+                        {report.findings.map((finding, index) => (
+                          <div key={index} className="bg-red-500/10 border border-red-500/30 rounded-lg p-3">
+                            <div className="text-red-300 font-medium">{finding.message}</div>
+                            {finding.evidence.length > 0 && (
+                              <ul className="mt-2 space-y-1 text-xs text-slate-400 font-mono">
+                                {finding.evidence.map(item => (
+                                  <li key={`${item.transactionHash}:${item.logIndex}`}>
+                                    block {item.blockNumber} · tx {item.transactionHash.slice(0, 12)}... · {item.voter.slice(0, 10)}... → #{item.candidateId}
+                                  </li>
+                                ))}
+                              </ul>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  <div className="flex space-x-4">
+                    <button
+                      onClick={() => runAudit(audit.election)}
+                      className="flex-1 px-4 py-2 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg font-medium transition-all duration-200"
+                    >
+                      Run Again
+                    </button>
+                    <button
+                      onClick={() => downloadFile(auditFileName(report), JSON.stringify(report, null, 2), 'application/json')}
+                      className="flex-1 flex items-center justify-center space-x-2 px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg font-medium transition-all duration-200"
+                    >
+                      <Download className="w-4 h-4" />
+                      <span>Download Report</span>
+                    </button>
+                  </div>
+                </div>
+              );
+            })()}
+          </div>
+        </div>
+      )}
+
+      {/* Election Settings Modal */}
+      {settingsElection && (
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+          <div className="bg-slate-800 rounded-2xl border border-slate-700 max-w-2xl max-h-[90vh] overflow-y-auto w-full">
+            <form onSubmit={submitSettings} noValidate className="p-6 space-y-6">
+              <div className="flex justify-between items-start">
+                <div>
+                  <h2 className="text-2xl font-bold text-slate-200 mb-1">Edit Settings</h2>
+                  <p className="text-slate-400">{settingsElection.title}</p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => setSettingsElection(null)}
+                  className="text-slate-400 hover:text-slate-200 p-2"
+                >
+                  <X className="w-6 h-6" />
+                </button>
+              </div>
+              
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">Election Title *</label>
+                <input
+                  type="text"
+                  value={settingsForm.title}
+                  onChange={(e) => setSettingsForm(prev => ({ ...prev, title: e.target.value }))}
+                  className="w-full px-4 py-3 bg-slate-900/50 border border-slate-600/50 rounded-lg text-slate-200 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50"
+                />
+                {settingsFormErrors.title && (
+                  <p className="text-sm text-red-400 mt-1">{settingsFormErrors.title}</p>
+                )}
+              </div>
+              
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">Description</label>
+                <textarea
+                  value={settingsForm.description}
+                  onChange={(e) => setSettingsForm(prev => ({ ...prev, description: e.target.value }))}
+                  rows={3}
+                  className="w-full px-4 py-3 bg-slate-900/50 border border-slate-600/50 rounded-lg text-slate-200 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50 resize-none"
+                />
+              </div>
+              
+              <div className="grid md:grid-cols-3 gap-4">
+                {[
+                  ['candidateDeadline', 'Candidate Deadline *'],
+                  ['startTime', 'Voting Start *'],
+                  ['endTime', 'Voting End *']
+                ].map(([field, label]) => (
+                  <div key={field}>
+                    <label className="block text-sm font-medium text-slate-300 mb-2">{label}</label>
+                    <input
+                      type="datetime-local"
+                      value={settingsForm[field]}
+                      onChange={(e) => setSettingsForm(prev => ({ ...prev, [field]: e.target.value }))}
+                      className="w-full px-4 py-3 bg-slate-900/50 border border-slate-600/50 rounded-lg text-slate-200 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50"
+                    />
+                    {settingsFormErrors[field] && (
+                      <p className="text-sm text-red-400 mt-1">{settingsFormErrors[field]}</p>
+                    )}
+                  </div>
+                ))}
+              </div>
+              
+              <div className="grid md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-2">Voting Type</label>
+                  <select
+                    value={settingsForm.votingType}
+                    onChange={(e) => setSettingsForm(prev => ({ ...prev, votingType: e.target.value }))}
+                    className="w-full px-4 py-3 bg-slate-900/50 border border-slate-600/50 rounded-lg text-slate-200 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50"
+                  >
+                    <option value="0">Winner Takes All</option>
+                    <option value="1">Leaderboard/Ranking</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-2">Eligibility Mode</label>
+                  <select
+                    value={settingsForm.eligibilityMode}
+                    onChange={(e) => setSettingsForm(prev => ({ ...prev, eligibilityMode: e.target.value }))}
+                    className="w-full px-4 py-3 bg-slate-900/50 border border-slate-600/50 rounded-lg text-slate-200 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50"
+                  >
+                    {ELIGIBILITY_MODE_LABELS.map((label, mode) => (
+                      <option key={mode} value={String(mode)}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                
+                {settingsForm.eligibilityMode === '2' && (
+                  <>
+                    <div>
+                      <label className="block text-sm font-medium text-slate-300 mb-2">Minimum Token Balance</label>
+                      <input
+                        type="number"
+                        value={settingsForm.minimumTokenBalance}
+                        onChange={(e) => setSettingsForm(prev => ({ ...prev, minimumTokenBalance: e.target.value }))}
+                        min="0"
+                        step="any"
+                        className="w-full px-4 py-3 bg-slate-900/50 border border-slate-600/50 rounded-lg text-slate-200 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50"
+                      />
+                      {settingsFormErrors.minimumTokenBalance && (
+                        <p className="text-sm text-red-400 mt-1">{settingsFormErrors.minimumTokenBalance}</p>
+                      )}
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-slate-300 mb-2">Token Decimals</label>
+                      <input
+                        type="number"
+                        value={settingsForm.tokenDecimals}
+                        onChange={(e) => setSettingsForm(prev => ({ ...prev, tokenDecimals: e.target.value }))}
+                        min="0"
+                        max="36"
+                        className="w-full px-4 py-3 bg-slate-900/50 border border-slate-600/50 rounded-lg text-slate-200 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50"
+                      />
+                      {settingsFormErrors.tokenDecimals && (
+                        <p className="text-sm text-red-400 mt-1">{settingsFormErrors.tokenDecimals}</p>
+                      )}
+                    </div>
+                  </>
+                )}
+                
+                {settingsForm.eligibilityMode === '3' && (
+                  <div className="md:col-span-2">
+                    <label className="block text-sm font-medium text-slate-300 mb-2">Required NFT Contract Address</label>
+                    <input
+                      type="text"
+                      value={settingsForm.requiredNFTContract}
+                      onChange={(e) => setSettingsForm(prev => ({ ...prev, requiredNFTContract: e.target.value }))}
+                      placeholder="0x..."
+                      className="w-full px-4 py-3 bg-slate-900/50 border border-slate-600/50 rounded-lg text-slate-200 font-mono placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50"
+                    />
+                    {settingsFormErrors.requiredNFTContract && (
+                      <p className="text-sm text-red-400 mt-1">{settingsFormErrors.requiredNFTContract}</p>
+                    )}
+                  </div>
+                )}
+              </div>
+              
+              <div className="grid md:grid-cols-2 gap-4">
+                {[
+                  ['openCandidateRegistration', 'Open Candidate Registration'],
+                  ['liveResultsEnabled', 'Live Results'],
+                  ['resultsPublic', 'Public Results'],
+                  ['useCommitReveal', 'Use Commit-Reveal Voting']
+                ].map(([field, label]) => (
+                  <label key={field} className="flex items-center space-x-3 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={settingsForm[field]}
+                      onChange={(e) => setSettingsForm(prev => ({ ...prev, [field]: e.target.checked }))}
+                      className="w-4 h-4 text-blue-500 bg-slate-900 border-slate-600 rounded focus:ring-blue-500 focus:ring-2"
+                    />
+                    <span className="text-slate-300 font-medium">{label}</span>
+                  </label>
+                ))}
+              </div>
+              
+              <div className="flex justify-end space-x-4 pt-4 border-t border-slate-700/50">
+                <button
+                  type="button"
+                  onClick={() => setSettingsElection(null)}
+                  className="px-6 py-2 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg font-medium transition-all duration-200"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="px-6 py-2 bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-600 hover:to-purple-600 text-white rounded-lg font-semibold transition-all duration-200"
+                >
+                  Save Settings
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Admin Action Confirmation Modal */}
+      {pendingAdminAction && (
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+          <div className="bg-slate-800 rounded-2xl border border-slate-700 max-w-md w-full p-6">
+            <div className="text-center">
+              <AlertCircle className="w-12 h-12 text-yellow-400 mx-auto mb-4" />
+              <h3 className="text-xl font-bold text-slate-200 mb-2">{pendingAdminAction.title}</h3>
+              <p className="text-slate-400 mb-6">{pendingAdminAction.message}</p>
+              
+              <div className="flex space-x-4">
+                <button
+                  onClick={() => setPendingAdminAction(null)}
+                  className="flex-1 px-4 py-2 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg font-medium transition-all duration-200"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={confirmAdminAction}
+                  className="flex-1 px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg font-medium transition-all duration-200"
+                >
+                  Confirm
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Reveal Vote Modal */}
+      {showRevealModal && selectedElection && (
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+          <div className="bg-slate-800 rounded-2xl border border-slate-700 max-w-md w-full p-6">
+            <div className="text-center">
+              <Unlock className="w-12 h-12 text-purple-400 mx-auto mb-4" />
+              <h3 className="text-xl font-bold text-slate-200 mb-2">Reveal Your Vote</h3>
+              <p className="text-slate-400 mb-6">
+                Reveal deadline: {new Date(selectedElection.revealDeadline).toLocaleString()}
+              </p>
+              
+              {selectedCommitSecret ? (
+                <div className="bg-slate-900/50 rounded-lg p-4 mb-6 text-left">
+                  <div className="text-xs text-slate-500 mb-1">Sealed choice</div>
+                  <div className="text-slate-200 font-medium">{selectedCommitSecret.candidateName}</div>
+                  {selectedVoteCommit && selectedVoteCommit.commitHash !== selectedCommitSecret.commitHash && (
+                    <p className="text-sm text-red-400 mt-2">
+                      This secret does not match your on-chain commitment. Import the backup from when you voted.
+                    </p>
+                  )}
+                </div>
+              ) : (
+                <div className="bg-yellow-500/10 border border-yellow-500/20 rounded-lg p-4 mb-6 text-left">
+                  <p className="text-sm text-slate-300 mb-3">
+                    No saved secret was found in this browser. Import the backup file you downloaded when voting.
+                  </p>
+                  <input
+                    type="file"
+                    accept="application/json,.json"
+                    onChange={(e) => e.target.files[0] && importCommitSecret(e.target.files[0], selectedElection)}
+                    className="text-sm text-slate-400"
+                  />
+                </div>
+              )}
+              
+              {revealImportError && (
+                <p className="text-sm text-red-400 mb-4">{revealImportError}</p>
+              )}
+              
+              {Date.now() > selectedElection.revealDeadline && (
+                <p className="text-sm text-red-400 mb-4">The reveal period has ended.</p>
+              )}
+              
+              <div className="flex space-x-4">
+                <button
+                  onClick={() => setShowRevealModal(false)}
+                  className="flex-1 px-4 py-2 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg font-medium transition-all duration-200"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={() => revealVote(selectedElection)}
+                  disabled={
+                    !selectedCommitSecret ||
+                    Date.now() > selectedElection.revealDeadline ||
+                    (selectedVoteCommit && selectedVoteCommit.commitHash !== selectedCommitSecret.commitHash)
+                  }
+                  className="flex-1 px-4 py-2 bg-purple-500 hover:bg-purple-600 disabled:bg-purple-600/50 text-white rounded-lg font-medium transition-all duration-200 flex items-center justify-center space-x-2"
+                >
+                  <Unlock className="w-4 h-4" />
+                  <span>Reveal Vote</span>
                 </button>
               </div>
             </div>
@@ -1293,6 +3889,115 @@ const ElectionDApp = () => {
         </div>
       )}
 
+      {/* Notifications */}
+      {toasts.length > 0 && (
+        <div className="fixed bottom-6 right-6 z-50 w-full max-w-sm space-y-3">
+          {toasts.map(toast => (
+            <div key={toast.id} className="bg-slate-800 border border-slate-700 rounded-xl shadow-lg p-4 flex items-start space-x-3">
+              {toast.type === 'pending' && (
+                <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-blue-400 flex-shrink-0 mt-0.5"></div>
+              )}
+              {toast.type === 'success' && <CheckCircle className="w-5 h-5 text-green-400 flex-shrink-0 mt-0.5" />}
+              {toast.type === 'error' && <AlertCircle className="w-5 h-5 text-red-400 flex-shrink-0 mt-0.5" />}
+              {toast.type === 'info' && <Info className="w-5 h-5 text-blue-400 flex-shrink-0 mt-0.5" />}
+              <div className="flex-1 min-w-0">
+                <div className="font-semibold text-slate-200">{toast.title}</div>
+                {toast.message && <div className="text-sm text-slate-400 break-words">{toast.message}</div>}
+                {toast.hash && (
+                  <div className="text-xs font-mono text-slate-500 mt-1">{toast.hash.slice(0, 10)}...{toast.hash.slice(-8)}</div>
+                )}
+              </div>
+              <button
+                onClick={() => dismissToast(toast.id)}
+                className="text-slate-500 hover:text-slate-300"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Transaction History Drawer */}
+      {showHistory && (
+        <div className="fixed inset-0 z-50 flex justify-end">
+          <div className="absolute inset-0 bg-black/50 backdrop-blur-sm" onClick={() => setShowHistory(false)}></div>
+          <div className="relative bg-slate-800 border-l border-slate-700 w-full max-w-md h-full flex flex-col">
+            <div className="flex items-center justify-between p-6 border-b border-slate-700">
+              <div>
+                <h3 className="text-xl font-bold text-slate-200">Transactions</h3>
+                <p className="text-sm text-slate-400">
+                  {account ? `${account.slice(0, 6)}...${account.slice(-4)}` : 'No account'} · {deployment?.name || `chain ${chainId}`}
+                </p>
+              </div>
+              <button
+                onClick={() => setShowHistory(false)}
+                className="text-slate-400 hover:text-slate-200"
+              >
+                <X className="w-6 h-6" />
+              </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-6 space-y-3">
+              {transactionHistory.transactions.length === 0 ? (
+                <p className="text-slate-400 text-center py-12">No transactions from this account yet.</p>
+              ) : (
+                transactionHistory.transactions.map(entry => {
+                  const statusInfo = TX_STATUS_INFO[entry.status] || TX_STATUS_INFO.pending;
+                  const election = entry.election?.address
+                    ? elections.find(candidate => candidate.address.toLowerCase() === entry.election.address.toLowerCase())
+                    : null;
+                  return (
+                    <div key={entry.hash} className="bg-slate-900/50 rounded-lg p-4 border border-slate-700/50">
+                      <div className="flex items-start justify-between space-x-3">
+                        <div className="min-w-0">
+                          <div className="font-medium text-slate-200">{entry.label}</div>
+                          {entry.election && (
+                            election ? (
+                              <button
+                                onClick={() => {
+                                  setShowHistory(false);
+                                  viewElectionDetails(election);
+                                }}
+                                className="text-sm text-blue-400 hover:text-blue-300 truncate"
+                              >
+                                {entry.election.title}
+                              </button>
+                            ) : (
+                              <div className="text-sm text-slate-400 truncate">{entry.election.title}</div>
+                            )
+                          )}
+                        </div>
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium flex-shrink-0 ${statusInfo.bg} ${statusInfo.color}`}>
+                          {statusInfo.label}
+                        </span>
+                      </div>
+                      <div className="text-xs font-mono text-slate-500 mt-2 break-all">{entry.hash}</div>
+                      <div className="flex justify-between text-xs text-slate-500 mt-1">
+                        <span>{new Date(entry.submittedAt).toLocaleString()}</span>
+                        {entry.blockNumber !== null && entry.blockNumber !== undefined && <span>Block {entry.blockNumber}</span>}
+                      </div>
+                      {entry.error && <div className="text-sm text-red-300 mt-2">{entry.error}</div>}
+                    </div>
+                  );
+                })
+              )}
+            </div>
+
+            {transactionHistory.transactions.length > 0 && (
+              <div className="p-6 border-t border-slate-700">
+                <button
+                  onClick={transactionHistory.clear}
+                  className="w-full px-4 py-2 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg font-medium transition-all duration-200"
+                >
+                  Clear History
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Loading Overlay */}
       {loading && (
         <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50">
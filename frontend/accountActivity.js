@@ -0,0 +1,171 @@
+import { ElectionStatus, VoterEligibilityMode, readVoterStatuses, electionStatusAt } from './electionClient.js';
+import { getAccountElections, getCachedElectionSummaries, getWhitelistChecks, saveWhitelistChecks } from './electionIndexer.js';
+
+// "My Activity": the connected account's elections grouped by role, with badges for what is
+// still open to it. Apart from finding the elections (findAccountElectionIds), works on
+// dashboard election summaries (times in ms) and readVoterStatuses() output, so no extra
+// chain reads are needed here.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Compact duration: "2d 4h", "3h", "25m"
+export const formatDuration = (ms) => {
+  if (ms < HOUR) return `${Math.max(1, Math.ceil(ms / MINUTE))}m`;
+  if (ms < DAY) return `${Math.floor(ms / HOUR)}h`;
+  const days = Math.floor(ms / DAY);
+  const hours = Math.floor((ms % DAY) / HOUR);
+  return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+};
+
+const hasSealedVote = (status) => status.voteCommit.hasCommitted && !status.voteCommit.hasRevealed;
+
+/**
+ * Split the account's elections into
+ *   created   - IDs from the factory's getCreatorElections(account)
+ *   voting    - elections where it is eligible, registered, has voted or has a sealed vote
+ *   candidate - elections where it registered a candidate (isCandidateRegistered)
+ * `statuses` maps election address to readVoterStatuses() output. An election can be in several lists.
+ */
+export const groupAccountActivity = (elections, { createdIds = [], statuses = {} }) => {
+  const created = new Set(createdIds);
+  const groups = { created: [], voting: [], candidate: [] };
+
+  elections.forEach(election => {
+    if (created.has(election.id)) groups.created.push(election);
+
+    const status = statuses[election.address];
+    if (!status) return;
+    if (status.isEligibleVoter || status.hasRegisteredToVote || status.hasVoted || status.voteCommit.hasCommitted) {
+      groups.voting.push(election);
+    }
+    if (status.isCandidateRegistered) groups.candidate.push(election);
+  });
+  return groups;
+};
+
+/**
+ * Factory IDs of the elections `account` votes or stands in, however old, found in the event
+ * index `db` rather than by reading every election: the ones its own logs point to
+ * (getAccountElections), plus whitelist elections that list it. Adding to a whitelist emits
+ * no event, so those are checked with readVoterStatuses() over the index's snapshots. The
+ * list is frozen once an election starts, so each is checked until then and the result kept
+ * in the index; after the first call only new and not yet started elections are read.
+ */
+export const findAccountElectionIds = async (runner, db, account, { now = Date.now() } = {}) => {
+  const [traced, summaries, checks] = await Promise.all([
+    getAccountElections(db, account),
+    getCachedElectionSummaries(db),
+    getWhitelistChecks(db, account)
+  ]);
+  const eligible = new Set(checks.eligible);
+  const settled = new Set(checks.settled);
+  const unsettled = summaries.filter(election =>
+    election.eligibilityMode === VoterEligibilityMode.Whitelist && !settled.has(election.address)
+  );
+
+  if (unsettled.length > 0) {
+    const statuses = await readVoterStatuses(runner, unsettled.map(election => election.address), account);
+    unsettled.forEach(election => {
+      const status = statuses[election.address];
+      if (!status) return;
+      if (status.isEligibleVoter) eligible.add(election.address);
+      else eligible.delete(election.address);
+      if (electionStatusAt(election, now) !== ElectionStatus.NotStarted) settled.add(election.address);
+    });
+    await saveWhitelistChecks(db, account, { eligible: [...eligible], settled: [...settled] });
+  }
+
+  return [...new Set([
+    ...traced.map(election => election.id),
+    ...summaries.filter(election => eligible.has(election.address)).map(election => election.id)
+  ])];
+};
+
+/**
+ * Badges for `election` in one of the lists above: [{ label, tone }], most pressing first.
+ * tone is 'action' (something to do), 'warning' (missed or blocked) or 'info'.
+ * `status` is the account's readVoterStatuses() entry (needed for the voting list).
+ */
+export const getPendingActions = (election, role, { status = null, now = Date.now() } = {}) => {
+  const actions = [];
+  const until = (time) => formatDuration(time - now);
+  // The summary's own status is as of its read; work it out for `now` instead
+  const electionStatus = electionStatusAt(election, now);
+  const notStarted = electionStatus === ElectionStatus.NotStarted;
+  const ongoing = electionStatus === ElectionStatus.Ongoing;
+  const ended = electionStatus === ElectionStatus.Ended;
+  const revealOpen = election.useCommitReveal && ended && now <= election.revealDeadline;
+  const candidateRegistrationOpen = notStarted && now < election.candidateDeadline;
+
+  if (role === 'created') {
+    if (candidateRegistrationOpen) {
+      actions.push({ label: `Candidate registration closes in ${until(election.candidateDeadline)}`, tone: 'action' });
+    }
+    if (notStarted && election.candidates === 0) {
+      actions.push({ label: 'No candidates yet', tone: 'warning' });
+    }
+    if (notStarted && election.eligibilityMode === VoterEligibilityMode.Whitelist) {
+      actions.push(election.eligibleVoters === 0
+        ? { label: `Add eligible voters in the next ${until(election.startTime)}`, tone: 'action' }
+        : { label: `Voter list locks in ${until(election.startTime)}`, tone: 'info' });
+    }
+    if (revealOpen && !election.isRevealPhase) {
+      actions.push({ label: 'Start the reveal phase', tone: 'action' });
+    }
+    if (election.isEmergencyStopped && !election.allowResultsAfterEmergency) {
+      actions.push({ label: 'Results hidden since the emergency stop', tone: 'info' });
+    }
+    if (ongoing) {
+      actions.push({ label: `Voting ends in ${until(election.endTime)}`, tone: 'info' });
+    }
+  }
+
+  if (role === 'voting' && status) {
+    if (notStarted && !status.hasRegisteredToVote) {
+      actions.push({ label: `Register to vote in the next ${until(election.startTime)}`, tone: 'action' });
+    }
+    if (notStarted) {
+      actions.push({ label: `Voting opens in ${until(election.startTime)}`, tone: 'info' });
+    }
+    if (ongoing && status.isEligibleVoter && !status.hasVoted && !status.voteCommit.hasCommitted) {
+      actions.push({
+        label: `${election.useCommitReveal ? 'Cast your sealed vote' : 'Vote'} in the next ${until(election.endTime)}`,
+        tone: 'action'
+      });
+    }
+    if (ongoing && hasSealedVote(status)) {
+      actions.push({ label: `Sealed vote in; reveal opens in ${until(election.endTime)}`, tone: 'info' });
+    }
+    if (ended && election.useCommitReveal && hasSealedVote(status)) {
+      actions.push(revealOpen
+        ? { label: `Reveal your vote before ${new Date(election.revealDeadline).toLocaleString()}`, tone: 'action' }
+        : { label: 'Reveal period missed; the vote was not counted', tone: 'warning' });
+    }
+    if (status.hasVoted) {
+      actions.push({ label: 'Voted', tone: 'info' });
+    }
+    if (candidateRegistrationOpen && election.openCandidateRegistration && !status.isCandidateRegistered) {
+      actions.push({ label: `Candidate registration closes in ${until(election.candidateDeadline)}`, tone: 'info' });
+    }
+  }
+
+  if (role === 'candidate') {
+    if (notStarted) {
+      actions.push({ label: `Voting opens in ${until(election.startTime)}`, tone: 'info' });
+    }
+    if (ongoing) {
+      actions.push({ label: `Voting ends in ${until(election.endTime)}`, tone: 'info' });
+    }
+    if (revealOpen) {
+      actions.push({ label: `Votes are revealed until ${new Date(election.revealDeadline).toLocaleString()}`, tone: 'info' });
+    }
+    if (election.isEmergencyStopped) {
+      actions.push({ label: 'Stopped by the owner', tone: 'warning' });
+    }
+  }
+
+  const order = { action: 0, warning: 1, info: 2 };
+  return actions.sort((a, b) => order[a.tone] - order[b.tone]);
+};
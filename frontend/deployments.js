@@ -0,0 +1,75 @@
+// Where the ElectionFactory lives on each chain the app supports, keyed by chain ID.
+//
+//   name                   - shown in the network switcher
+//   factoryAddress         - ElectionFactory proxy deployer
+//   startBlock             - block the factory was deployed in; event scans start here
+//   governanceTokenAddress - ERC-20 checked for TokenBased elections (the Election contract
+//                            doesn't record its token), or null
+//   rpcUrl                 - public JSON-RPC endpoint, also offered to wallets that don't know the chain
+//
+// Entries can be added or overridden without editing this file:
+//   - at build time, with VITE_DEPLOYMENTS in an env file (see .env.example), as JSON in the same shape
+//   - at runtime, by calling configureDeployments() before the app starts
+//
+// Visitors without a wallet browse read-only over the rpcUrl of VITE_DEFAULT_CHAIN_ID,
+// or of the first deployment that has one.
+
+const DEFAULT_DEPLOYMENTS = {
+  // Hardhat / Anvil node. These are the addresses the first two deployments from the default
+  // dev account get: the Election implementation at nonce 0, then the factory at nonce 1.
+  31337: {
+    name: 'Localhost',
+    factoryAddress: '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512',
+    startBlock: 0,
+    governanceTokenAddress: null,
+    rpcUrl: 'http://127.0.0.1:8545'
+  }
+};
+
+const mergeDeployments = (base, overrides) => {
+  const merged = { ...base };
+  Object.entries(overrides || {}).forEach(([chainId, deployment]) => {
+    merged[chainId] = { ...merged[chainId], ...deployment };
+  });
+  return merged;
+};
+
+const readEnvDeployments = () => {
+  const raw = import.meta.env?.VITE_DEPLOYMENTS;
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.error('VITE_DEPLOYMENTS is not valid JSON; ignoring it:', error);
+    return {};
+  }
+};
+
+let deployments = mergeDeployments(DEFAULT_DEPLOYMENTS, readEnvDeployments());
+
+/**
+ * Add or override deployments, e.g. configureDeployments({ 11155111: { factoryAddress, startBlock } }).
+ * Fields not given keep their current values.
+ */
+export const configureDeployments = (overrides) => {
+  deployments = mergeDeployments(deployments, overrides);
+};
+
+// The deployment for chainId (number, bigint or string), or null when the app has no factory there
+export const getDeployment = (chainId) => {
+  const deployment = deployments[String(chainId)];
+  return deployment?.factoryAddress ? { chainId: Number(chainId), startBlock: 0, ...deployment } : null;
+};
+
+// Every chain with a factory, as [{ chainId, name, ... }]
+export const getSupportedDeployments = () =>
+  Object.keys(deployments).map(getDeployment).filter(Boolean);
+
+// Deployment to read from when no wallet is connected, or null if none has an rpcUrl
+export const getReadOnlyDeployment = () => {
+  const preferred = import.meta.env?.VITE_DEFAULT_CHAIN_ID;
+  const candidates = getSupportedDeployments().filter(deployment => deployment.rpcUrl);
+  return candidates.find(deployment => String(deployment.chainId) === String(preferred)) || candidates[0] || null;
+};
+
+export const toHexChainId = (chainId) => `0x${Number(chainId).toString(16)}`;
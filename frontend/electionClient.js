@@ -0,0 +1,875 @@
+import { ethers } from 'ethers';
+import { multicall } from './multicall.js';
+import { LOG_CHUNK_SIZE } from './electionIndexer.js';
+
+// Framework-agnostic access to ElectionFactory and Election contracts over ethers v6.
+// Reads return plain objects rather than positional tuples, and every failure is
+// rethrown as an ElectionClientError with a readable message. Nothing here touches
+// the DOM or browser storage, so the same code runs in Node scripts against a local node.
+//
+// Clients take an ethers "runner": a Provider for read-only use, or a Signer to send
+// transactions. Write methods resolve to the ethers TransactionResponse once the
+// transaction is submitted; call .wait() on it for the receipt.
+
+export const ELECTION_FACTORY_ABI = [
+  "function createElection((string,string,uint256,uint256,uint256,uint8,bool,bool,bool,bool), uint8, uint256, address) external returns (address)",
+  "function getAllElections() external view returns (address[])",
+  "function getCreatorElections(address) external view returns (uint256[])",
+  "function getElectionAddress(uint256) external view returns (address)",
+  "function electionCount() external view returns (uint256)",
+  "function elections(uint256) external view returns (address)",
+  "function electionImplementation() external view returns (address)",
+  "function updateElectionImplementation(address) external",
+  "function owner() external view returns (address)",
+  "error OwnableUnauthorizedAccount(address account)",
+  "event ElectionCreated(uint256 indexed electionId, address indexed electionAddress, address indexed creator, string title)",
+  "event ElectionImplementationUpdated(address indexed newImplementation)"
+];
+
+export const ELECTION_ABI = [
+  "function config() external view returns (string,string,uint256,uint256,uint256,uint8,bool,bool,bool,bool)",
+  "function getElectionStatus() external view returns (uint8)",
+  "function candidateCount() external view returns (uint256)",
+  "function candidates(uint256) external view returns (string,string,uint256,bool)",
+  "function getCandidate(uint256) external view returns (string,string,uint256,bool)",
+  "function registerCandidate(string,string) external",
+  "function registerToVote() external",
+  "function vote(uint256) external",
+  "function commitVote(bytes32) external",
+  "function revealVote(uint256,uint256) external",
+  "function getResults() external view returns (uint256[],string[],uint256[],uint256,uint256)",
+  "function getWinner() external view returns (uint256,string,uint256)",
+  "function getLeaderboard() external view returns (uint256[],string[],uint256[])",
+  "function hasVoted(address) external view returns (bool)",
+  "function isEligibleVoter(address) external view returns (bool)",
+  "function totalVotes() external view returns (uint256)",
+  "function totalEligibleVoters() external view returns (uint256)",
+  "function totalRegisteredVoters() external view returns (uint256)",
+  "function owner() external view returns (address)",
+  "function isEmergencyStopped() external view returns (bool)",
+  "function allowResultsAfterEmergency() external view returns (bool)",
+  "function revealDeadline() external view returns (uint256)",
+  "function isRevealPhase() external view returns (bool)",
+  "function voteCommits(address) external view returns (bytes32,bool,bool)",
+  "function candidateNameExists(string) external view returns (bool)",
+  "function isCandidateRegistered(address) external view returns (bool)",
+  "function hasRegisteredToVote(address) external view returns (bool)",
+  "function voterEligibilityMode() external view returns (uint8)",
+  "function minimumTokenBalance() external view returns (uint256)",
+  "function requiredNFTContract() external view returns (address)",
+  "function addEligibleVoters(address[]) external",
+  "function removeEligibleVoters(address[]) external",
+  "function emergencyStop() external",
+  "function enableResultsAfterEmergency() external",
+  "function disableResultsAfterEmergency() external",
+  "function startRevealPhase() external",
+  "function updateElectionSettings(string,string,uint256,uint256,uint256,uint8,uint8,uint256,address,bool,bool,bool,bool) external",
+  "error OwnableUnauthorizedAccount(address account)",
+  "event VoteCast(address indexed voter, uint256 candidateId)",
+  "event VoteCommitted(address indexed voter)",
+  "event VoteRevealed(address indexed voter, uint256 candidateId)",
+  "event CandidateRegistered(uint256 indexed candidateId, string name, address indexed registrant)",
+  "event VoterRegistered(address indexed voter)",
+  "event EmergencyStop(address indexed owner, uint256 timestamp)",
+  "event RevealPhaseStarted(uint256 revealDeadline)"
+];
+
+// Token and NFT balance checks for TokenBased/NFTBased eligibility
+export const ERC20_ABI = [
+  "function balanceOf(address) external view returns (uint256)",
+  "function decimals() external view returns (uint8)",
+  "function symbol() external view returns (string)"
+];
+
+export const ERC721_ABI = [
+  "function balanceOf(address) external view returns (uint256)"
+];
+
+export const electionInterface = new ethers.Interface(ELECTION_ABI);
+export const factoryInterface = new ethers.Interface(ELECTION_FACTORY_ABI);
+
+// Contract enums
+export const ElectionStatus = { NotStarted: 0, Ongoing: 1, Ended: 2 };
+export const VotingType = { WinnerTakesAll: 0, Leaderboard: 1 };
+export const VoterEligibilityMode = { Whitelist: 0, OpenRegistration: 1, TokenBased: 2, NFTBased: 3 };
+
+// Elections per ElectionFactoryClient.listElectionsPage() read
+export const ELECTION_PAGE_SIZE = 24;
+
+// User-facing messages for the contracts' revert strings
+export const CONTRACT_ERROR_MESSAGES = {
+  'Already voted': 'You have already voted in this election.',
+  'Candidate not active': 'This candidate is no longer active.',
+  'Use commit-reveal scheme': 'This election uses commit-reveal voting, so votes must be submitted as a sealed commitment.',
+  'Not eligible to vote': 'Your address is not eligible to vote in this election.',
+  'Invalid election status': 'Voting is not open for this election right now.',
+  'Invalid candidate': 'That candidate does not exist in this election.',
+  'Invalid candidate ID': 'That candidate does not exist in this election.',
+  'Invalid election ID': 'That election does not exist.',
+  'Commit-reveal not enabled': 'This election does not use commit-reveal voting.',
+  'Already committed': 'You have already submitted a sealed vote in this election.',
+  'Election still ongoing': 'Votes can only be revealed after the election has ended.',
+  'Reveal phase ended': 'The reveal period for this election is over.',
+  'No commit found': 'No sealed vote was found for your address.',
+  'Already revealed': 'You have already revealed your vote.',
+  'Invalid reveal': 'The saved secret does not match your sealed vote.',
+  'Only for whitelist mode': 'Voter lists can only be edited on whitelist elections.',
+  'Cannot modify voters after election starts': 'Voter lists can only be edited before the election starts.',
+  'Already emergency stopped': 'This election has already been emergency stopped.',
+  'Not emergency stopped': 'This election has not been emergency stopped.',
+  'Reveal phase already started': 'The reveal phase has already been started.',
+  'Results not available': 'The results of this election are not available yet.',
+  'Election not ended': 'This election has not ended yet.',
+  'Not a winner-takes-all election': 'This election is not a winner-takes-all election.',
+  'Not a leaderboard election': 'This election is not a leaderboard election.',
+  'Title required': 'Enter an election title.',
+  'Start time must be in future': 'The start time must be in the future.',
+  'End time must be after start time': 'The end time must be after the start time.',
+  'Candidate deadline must be before start': 'The candidate registration deadline must be before the start time.',
+  'Candidate registration closed': 'Candidate registration for this election has closed.',
+  'Candidate name required': 'Enter a candidate name.',
+  'Candidate name already exists': 'A candidate with this name is already registered.',
+  'Already registered as candidate': 'Your address is already registered as a candidate.',
+  'Only owner can register candidates': 'Only the election owner can register candidates.',
+  'Already registered': 'You are already registered to vote in this election.',
+  'Registration closed': 'Voter registration closes when the election starts.',
+  OwnableUnauthorizedAccount: 'Only the owner can do this.'
+};
+
+/**
+ * Every client failure. `code` is one of:
+ *   REJECTED - the user declined the request in their wallet
+ *   REVERTED - the contract rejected the call; `reason` holds the revert string or custom error name
+ *   NETWORK  - the node could not be reached or answered badly
+ *   UNKNOWN  - anything else
+ * The original ethers error is kept as `cause`.
+ */
+export class ElectionClientError extends Error {
+  constructor(message, { code = 'UNKNOWN', reason = null, cause } = {}) {
+    super(message);
+    this.name = 'ElectionClientError';
+    this.code = code;
+    this.reason = reason;
+    this.cause = cause;
+  }
+}
+
+// Turn an ethers error into an ElectionClientError, decoding known contract revert strings
+export const normalizeError = (error) => {
+  if (error instanceof ElectionClientError) return error;
+
+  if (error?.code === 'ACTION_REJECTED') {
+    return new ElectionClientError('Transaction was rejected in your wallet.', { code: 'REJECTED', cause: error });
+  }
+
+  // Custom errors decode to their name (e.g. OwnableUnauthorizedAccount) rather than a string
+  const reason = error?.revert?.name && CONTRACT_ERROR_MESSAGES[error.revert.name]
+    ? error.revert.name
+    : error?.reason || error?.revert?.args?.[0] || null;
+  if (reason) {
+    return new ElectionClientError(CONTRACT_ERROR_MESSAGES[reason] || reason, { code: 'REVERTED', reason, cause: error });
+  }
+
+  // Some providers only surface the revert string inside the message text
+  const message = error?.info?.error?.message || error?.shortMessage || error?.message || '';
+  const knownReason = Object.keys(CONTRACT_ERROR_MESSAGES).find(key => message.includes(key));
+  if (knownReason) {
+    return new ElectionClientError(CONTRACT_ERROR_MESSAGES[knownReason], { code: 'REVERTED', reason: knownReason, cause: error });
+  }
+
+  const code = error?.code === 'CALL_EXCEPTION' ? 'REVERTED'
+    : ['NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT', 'BAD_DATA'].includes(error?.code) ? 'NETWORK'
+    : 'UNKNOWN';
+  return new ElectionClientError(message || 'Transaction failed.', { code, cause: error });
+};
+
+// Readable message for any error a client call can throw
+export const decodeContractError = (error) => normalizeError(error).message;
+
+const attempt = async (operation) => {
+  try {
+    return await operation();
+  } catch (error) {
+    throw normalizeError(error);
+  }
+};
+
+// 256 bits from the platform CSPRNG, used as the commitment's blinding nonce
+export const generateNonce = () => ethers.toBigInt(ethers.randomBytes(32));
+
+// Must match keccak256(abi.encodePacked(_candidateId, _nonce, msg.sender)) in Election.revealVote
+export const computeCommitHash = (candidateId, nonce, voter) =>
+  ethers.solidityPackedKeccak256(['uint256', 'uint256', 'address'], [candidateId, nonce, voter]);
+
+// Per-election reads consumed by toElection()
+const ELECTION_SUMMARY_CALLS = [
+  'config',
+  'getElectionStatus',
+  'totalVotes',
+  'totalEligibleVoters',
+  'candidateCount',
+  'owner',
+  'isEmergencyStopped',
+  'allowResultsAfterEmergency',
+  'revealDeadline',
+  'isRevealPhase',
+  'voterEligibilityMode',
+  'minimumTokenBalance',
+  'requiredNFTContract'
+];
+
+// Map raw contract reads ({ method: result }) into an election summary.
+// Times are unix milliseconds; id is the factory election ID.
+const toElection = (id, address, reads) => {
+  const [
+    title,
+    description,
+    startTime,
+    endTime,
+    candidateRegistrationDeadline,
+    votingType,
+    openCandidateRegistration,
+    liveResultsEnabled,
+    resultsPublic,
+    useCommitReveal
+  ] = reads.config;
+  const votes = Number(reads.totalVotes[0]);
+  const eligible = Number(reads.totalEligibleVoters[0]);
+
+  return {
+    id,
+    address,
+    title,
+    description,
+    status: Number(reads.getElectionStatus[0]),
+    candidates: Number(reads.candidateCount[0]),
+    totalVotes: votes,
+    eligibleVoters: eligible,
+    // Same integer rounding as Election.getResults()
+    participation: eligible > 0 ? Math.floor((votes * 100) / eligible) : 0,
+    startTime: Number(startTime) * 1000,
+    endTime: Number(endTime) * 1000,
+    candidateDeadline: Number(candidateRegistrationDeadline) * 1000,
+    creator: reads.owner[0],
+    votingType: Number(votingType),
+    openCandidateRegistration,
+    liveResults: liveResultsEnabled,
+    resultsPublic,
+    useCommitReveal,
+    isEmergencyStopped: reads.isEmergencyStopped[0],
+    allowResultsAfterEmergency: reads.allowResultsAfterEmergency[0],
+    // Zero unless commit-reveal is enabled
+    revealDeadline: Number(reads.revealDeadline[0]) * 1000,
+    isRevealPhase: reads.isRevealPhase[0],
+    eligibilityMode: Number(reads.voterEligibilityMode[0]),
+    // Raw uint256; the contract doesn't record the token's decimals
+    minimumTokenBalance: reads.minimumTokenBalance[0],
+    requiredNFTContract: reads.requiredNFTContract[0]
+  };
+};
+
+/**
+ * Read election summaries for [{ id, address }] in one multicall batch.
+ * Proxies that fail to answer (e.g. a broken upgrade) are skipped rather than failing the whole list;
+ * onSkipped({ id, address }) is called for each, e.g. to log it.
+ */
+export const readElections = async (runner, entries, { onSkipped } = {}) => {
+  const provider = runner.provider || runner;
+  const calls = entries.flatMap(({ address }) =>
+    ELECTION_SUMMARY_CALLS.map(method => ({ target: address, iface: electionInterface, method }))
+  );
+  const results = await attempt(() => multicall(provider, calls));
+
+  const loaded = [];
+  entries.forEach(({ id, address }, index) => {
+    const electionResults = results.slice(index * ELECTION_SUMMARY_CALLS.length, (index + 1) * ELECTION_SUMMARY_CALLS.length);
+    if (electionResults.some(result => result === null)) {
+      onSkipped?.({ id, address });
+      return;
+    }
+    const reads = Object.fromEntries(ELECTION_SUMMARY_CALLS.map((method, i) => [method, electionResults[i]]));
+    loaded.push(toElection(id, address, reads));
+  });
+  return loaded;
+};
+
+// Status of an election summary at `now` (unix ms), as getElectionStatus() would report it from
+// the summary's start and end times. Only valid while those times are: emergencyStop() moves
+// the end time to the stop, so a summary must be read again once an EmergencyStop is seen.
+export const electionStatusAt = (election, now = Date.now()) => {
+  // The contract compares whole seconds
+  const time = Math.floor(now / 1000) * 1000;
+  if (time < election.startTime) return ElectionStatus.NotStarted;
+  return time <= election.endTime ? ElectionStatus.Ongoing : ElectionStatus.Ended;
+};
+
+const VOTER_STATUS_CALLS = ['hasVoted', 'isEligibleVoter', 'hasRegisteredToVote', 'isCandidateRegistered', 'voteCommits'];
+
+/**
+ * Read what each election records about `voter` in one multicall batch, in the shape of
+ * ElectionClient.getVoterStatus(). Resolves to { [electionAddress]: status };
+ * elections that fail to answer are left out.
+ */
+export const readVoterStatuses = async (runner, electionAddresses, voter) => {
+  const provider = runner.provider || runner;
+  const calls = electionAddresses.flatMap(address =>
+    VOTER_STATUS_CALLS.map(method => ({ target: address, iface: electionInterface, method, args: [voter] }))
+  );
+  const results = await attempt(() => multicall(provider, calls));
+
+  const statuses = {};
+  electionAddresses.forEach((address, index) => {
+    const reads = results.slice(index * VOTER_STATUS_CALLS.length, (index + 1) * VOTER_STATUS_CALLS.length);
+    if (reads.some(result => result === null)) return;
+    const [hasVoted, isEligibleVoter, hasRegisteredToVote, isCandidateRegistered, voteCommit] = reads;
+    statuses[address] = {
+      hasVoted: hasVoted[0],
+      isEligibleVoter: isEligibleVoter[0],
+      hasRegisteredToVote: hasRegisteredToVote[0],
+      isCandidateRegistered: isCandidateRegistered[0],
+      voteCommit: { commitHash: voteCommit[0], hasCommitted: voteCommit[1], hasRevealed: voteCommit[2] }
+    };
+  });
+  return statuses;
+};
+
+// decimals() of an ERC-20 token, e.g. the deployment's governance token for TokenBased
+// thresholds, which elections store as a raw amount
+export const readTokenDecimals = async (runner, tokenAddress) =>
+  Number(await attempt(() => new ethers.Contract(tokenAddress, ERC20_ABI, runner).decimals()));
+
+// ElectionConfig tuple from settings; times are unix seconds
+const toConfigTuple = (settings) => [
+  settings.title,
+  settings.description || '',
+  settings.startTime,
+  settings.endTime,
+  settings.candidateRegistrationDeadline,
+  settings.votingType ?? VotingType.WinnerTakesAll,
+  !!settings.openCandidateRegistration,
+  !!settings.liveResultsEnabled,
+  !!settings.resultsPublic,
+  !!settings.useCommitReveal
+];
+
+// Eligibility args; only the field for the chosen mode is sent, the other is zeroed
+const toEligibilityArgs = (settings) => {
+  const mode = settings.eligibilityMode ?? VoterEligibilityMode.OpenRegistration;
+  return [
+    mode,
+    mode === VoterEligibilityMode.TokenBased ? BigInt(settings.minimumTokenBalance) : 0n,
+    mode === VoterEligibilityMode.NFTBased ? settings.requiredNFTContract : ethers.ZeroAddress
+  ];
+};
+
+/**
+ * Client for one Election proxy.
+ *
+ * Election settings objects (createElection, updateElectionSettings) use these fields:
+ *   title, description, startTime, endTime, candidateRegistrationDeadline (unix seconds),
+ *   votingType, eligibilityMode, minimumTokenBalance (raw uint256), requiredNFTContract,
+ *   openCandidateRegistration, liveResultsEnabled, resultsPublic, useCommitReveal
+ */
+export class ElectionClient {
+  constructor({ address, runner }) {
+    this.address = address;
+    this.runner = runner;
+    this.contract = new ethers.Contract(address, ELECTION_ABI, runner);
+  }
+
+  get provider() {
+    return this.runner.provider || this.runner;
+  }
+
+  // Same election, different runner (e.g. a signer for writes)
+  connect(runner) {
+    return new ElectionClient({ address: this.address, runner });
+  }
+
+  // --- Reads. Each accepts optional ethers overrides such as { blockTag, from }. ---
+
+  // Summary as listed on the dashboard; id is the factory election ID when known
+  async getSummary(id = null) {
+    const [summary] = await readElections(this.runner, [{ id, address: this.address }]);
+    if (!summary) throw new ElectionClientError(`Could not read election ${this.address}`, { code: 'NETWORK' });
+    return summary;
+  }
+
+  async getConfig(overrides = {}) {
+    const [
+      title,
+      description,
+      startTime,
+      endTime,
+      candidateRegistrationDeadline,
+      votingType,
+      openCandidateRegistration,
+      liveResultsEnabled,
+      resultsPublic,
+      useCommitReveal
+    ] = await attempt(() => this.contract.config(overrides));
+    return {
+      title,
+      description,
+      startTime: Number(startTime),
+      endTime: Number(endTime),
+      candidateRegistrationDeadline: Number(candidateRegistrationDeadline),
+      votingType: Number(votingType),
+      openCandidateRegistration,
+      liveResultsEnabled,
+      resultsPublic,
+      useCommitReveal
+    };
+  }
+
+  async getStatus(overrides = {}) {
+    return Number(await attempt(() => this.contract.getElectionStatus(overrides)));
+  }
+
+  async getEligibilityRule(overrides = {}) {
+    const [mode, minimumTokenBalance, requiredNFTContract] = await attempt(() => Promise.all([
+      this.contract.voterEligibilityMode(overrides),
+      this.contract.minimumTokenBalance(overrides),
+      this.contract.requiredNFTContract(overrides)
+    ]));
+    return { mode: Number(mode), minimumTokenBalance, requiredNFTContract };
+  }
+
+  async getOwner(overrides = {}) {
+    return attempt(() => this.contract.owner(overrides));
+  }
+
+  async getTotals(overrides = {}) {
+    const [totalVotes, totalEligibleVoters, totalRegisteredVoters] = await attempt(() => Promise.all([
+      this.contract.totalVotes(overrides),
+      this.contract.totalEligibleVoters(overrides),
+      this.contract.totalRegisteredVoters(overrides)
+    ]));
+    return {
+      totalVotes: Number(totalVotes),
+      totalEligibleVoters: Number(totalEligibleVoters),
+      totalRegisteredVoters: Number(totalRegisteredVoters)
+    };
+  }
+
+  async getEmergencyState(overrides = {}) {
+    const [isEmergencyStopped, allowResultsAfterEmergency] = await attempt(() => Promise.all([
+      this.contract.isEmergencyStopped(overrides),
+      this.contract.allowResultsAfterEmergency(overrides)
+    ]));
+    return { isEmergencyStopped, allowResultsAfterEmergency };
+  }
+
+  async getRevealState(overrides = {}) {
+    const [revealDeadline, isRevealPhase] = await attempt(() => Promise.all([
+      this.contract.revealDeadline(overrides),
+      this.contract.isRevealPhase(overrides)
+    ]));
+    return { revealDeadline: Number(revealDeadline), isRevealPhase };
+  }
+
+  async getCandidateCount(overrides = {}) {
+    return Number(await attempt(() => this.contract.candidateCount(overrides)));
+  }
+
+  async getCandidate(candidateId, overrides = {}) {
+    const [name, description, voteCount, isActive] =
+      await attempt(() => this.contract.getCandidate(candidateId, overrides));
+    return { id: Number(candidateId), name, description, voteCount: Number(voteCount), isActive };
+  }
+
+  // All candidates in ID order, batched through multicall
+  async getCandidates({ blockTag } = {}) {
+    const count = await this.getCandidateCount(blockTag === undefined ? {} : { blockTag });
+    const results = await attempt(() => multicall(this.provider, Array.from({ length: count }, (_, index) => ({
+      target: this.address,
+      iface: electionInterface,
+      method: 'candidates',
+      args: [index]
+    })), blockTag === undefined ? {} : { blockTag }));
+
+    return results
+      .map((result, id) => {
+        if (!result) return null;
+        const [name, description, voteCount, isActive] = result;
+        return { id, name, description, voteCount: Number(voteCount), isActive };
+      })
+      .filter(Boolean);
+  }
+
+  async candidateNameExists(name, overrides = {}) {
+    return attempt(() => this.contract.candidateNameExists(name, overrides));
+  }
+
+  async isCandidateRegistered(address, overrides = {}) {
+    return attempt(() => this.contract.isCandidateRegistered(address, overrides));
+  }
+
+  async hasVoted(address, overrides = {}) {
+    return attempt(() => this.contract.hasVoted(address, overrides));
+  }
+
+  async isEligibleVoter(address, overrides = {}) {
+    return attempt(() => this.contract.isEligibleVoter(address, overrides));
+  }
+
+  async hasRegisteredToVote(address, overrides = {}) {
+    return attempt(() => this.contract.hasRegisteredToVote(address, overrides));
+  }
+
+  async getVoteCommit(address, overrides = {}) {
+    const [commitHash, hasCommitted, hasRevealed] = await attempt(() => this.contract.voteCommits(address, overrides));
+    return { commitHash, hasCommitted, hasRevealed };
+  }
+
+  // Everything the contract records about one address
+  async getVoterStatus(address, overrides = {}) {
+    const [hasVoted, isEligibleVoter, hasRegisteredToVote, isCandidateRegistered, voteCommit] = await Promise.all([
+      this.hasVoted(address, overrides),
+      this.isEligibleVoter(address, overrides),
+      this.hasRegisteredToVote(address, overrides),
+      this.isCandidateRegistered(address, overrides),
+      this.getVoteCommit(address, overrides)
+    ]);
+    return { hasVoted, isEligibleVoter, hasRegisteredToVote, isCandidateRegistered, voteCommit };
+  }
+
+  /**
+   * The voter's own VoteCast or VoteRevealed log between fromBlock and toBlock (default: latest):
+   * { candidateId, revealed, blockNumber, transactionHash }, or null if there is none.
+   * An address votes at most once, so ranges are scanned newest first and the scan stops at the vote.
+   */
+  async findVote(voter, { fromBlock = 0, toBlock } = {}) {
+    const provider = this.provider;
+    const lastBlock = toBlock ?? await attempt(() => provider.getBlockNumber());
+    const topics = [
+      [electionInterface.getEvent('VoteCast').topicHash, electionInterface.getEvent('VoteRevealed').topicHash],
+      ethers.zeroPadValue(voter, 32).toLowerCase()
+    ];
+
+    for (let end = lastBlock; end >= fromBlock; end -= LOG_CHUNK_SIZE) {
+      const logs = await attempt(() => provider.getLogs({
+        address: this.address,
+        topics,
+        fromBlock: Math.max(fromBlock, end - LOG_CHUNK_SIZE + 1),
+        toBlock: end
+      }));
+      if (logs.length > 0) {
+        const log = logs[logs.length - 1];
+        const parsed = electionInterface.parseLog(log);
+        return {
+          candidateId: Number(parsed.args.candidateId),
+          revealed: parsed.name === 'VoteRevealed',
+          blockNumber: log.blockNumber,
+          transactionHash: log.transactionHash
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Every VoteCast log (VoteRevealed with revealed: true) between fromBlock and toBlock
+   * (default: latest), in chain order: [{ voter, candidateId, blockNumber, transactionHash, logIndex }].
+   */
+  async getVoteLogs({ revealed = false, fromBlock = 0, toBlock } = {}) {
+    const provider = this.provider;
+    const lastBlock = toBlock ?? await attempt(() => provider.getBlockNumber());
+    const topic = electionInterface.getEvent(revealed ? 'VoteRevealed' : 'VoteCast').topicHash;
+
+    const votes = [];
+    for (let start = fromBlock; start <= lastBlock; start += LOG_CHUNK_SIZE) {
+      const logs = await attempt(() => provider.getLogs({
+        address: this.address,
+        topics: [topic],
+        fromBlock: start,
+        toBlock: Math.min(start + LOG_CHUNK_SIZE - 1, lastBlock)
+      }));
+      logs.forEach(log => {
+        const { args } = electionInterface.parseLog(log);
+        votes.push({
+          voter: args.voter,
+          candidateId: Number(args.candidateId),
+          blockNumber: log.blockNumber,
+          transactionHash: log.transactionHash,
+          logIndex: log.index
+        });
+      });
+    }
+    return votes;
+  }
+
+  /**
+   * Pre-check the election's eligibility rule for `voter` before registerToVote().
+   * Resolves to { mode, registered, qualifies: true | false | null (can't tell), ... } with
+   * whitelisted, token { balance, required, decimals, symbol } or nft { contract, balance } by mode.
+   * TokenBased elections don't record their token, so pass the deployment's governanceTokenAddress.
+   */
+  async checkEligibility(voter, { governanceTokenAddress = null } = {}) {
+    const [rule, registered, whitelisted] = await Promise.all([
+      this.getEligibilityRule(),
+      this.hasRegisteredToVote(voter),
+      this.isEligibleVoter(voter)
+    ]);
+    const result = { mode: rule.mode, registered, qualifies: null };
+
+    if (rule.mode === VoterEligibilityMode.Whitelist) {
+      result.whitelisted = whitelisted;
+      result.qualifies = whitelisted;
+    } else if (rule.mode === VoterEligibilityMode.OpenRegistration) {
+      result.qualifies = true;
+    } else if (rule.mode === VoterEligibilityMode.TokenBased && governanceTokenAddress) {
+      const token = new ethers.Contract(governanceTokenAddress, ERC20_ABI, this.runner);
+      const [balance, decimals, symbol] = await attempt(() => Promise.all([
+        token.balanceOf(voter),
+        token.decimals(),
+        token.symbol()
+      ]));
+      result.token = { balance, required: rule.minimumTokenBalance, decimals: Number(decimals), symbol };
+      result.qualifies = balance >= rule.minimumTokenBalance;
+    } else if (rule.mode === VoterEligibilityMode.NFTBased) {
+      const nft = new ethers.Contract(rule.requiredNFTContract, ERC721_ABI, this.runner);
+      const balance = await attempt(() => nft.balanceOf(voter));
+      result.nft = { contract: rule.requiredNFTContract, balance };
+      result.qualifies = balance > 0n;
+    }
+    return result;
+  }
+
+  /**
+   * getResults(): active candidates with their votes, plus totals.
+   * Reverts unless results are visible to the caller, so pass { from } to read as the owner.
+   */
+  async getResults(overrides = {}) {
+    const [candidateIds, candidateNames, voteCounts, totalVotes, participationRate] =
+      await attempt(() => this.contract.getResults(overrides));
+    return {
+      // Inactive candidates come back as zeroed slots; only active ones have a name
+      candidates: candidateNames
+        .map((name, index) => ({ candidateId: Number(candidateIds[index]), name, votes: Number(voteCounts[index]) }))
+        .filter(candidate => candidate.name !== ''),
+      totalVotes: Number(totalVotes),
+      participationRate: Number(participationRate)
+    };
+  }
+
+  // Winner-takes-all elections, once ended
+  async getWinner(overrides = {}) {
+    const [candidateId, name, votes] = await attempt(() => this.contract.getWinner(overrides));
+    return { candidateId: Number(candidateId), name, votes: Number(votes) };
+  }
+
+  // Leaderboard elections, once ended; sorted by votes, highest first
+  async getLeaderboard(overrides = {}) {
+    const [ids, names, votes] = await attempt(() => this.contract.getLeaderboard(overrides));
+    return names.map((name, index) => ({
+      rank: index + 1,
+      candidateId: Number(ids[index]),
+      name,
+      votes: Number(votes[index])
+    }));
+  }
+
+  // --- Writes (need a Signer runner) ---
+
+  registerCandidate(name, description = '') {
+    return attempt(() => this.contract.registerCandidate(name, description));
+  }
+
+  registerToVote() {
+    return attempt(() => this.contract.registerToVote());
+  }
+
+  vote(candidateId) {
+    return attempt(() => this.contract.vote(candidateId));
+  }
+
+  commitVote(commitHash) {
+    return attempt(() => this.contract.commitVote(commitHash));
+  }
+
+  revealVote(candidateId, nonce) {
+    return attempt(() => this.contract.revealVote(candidateId, nonce));
+  }
+
+  addEligibleVoters(addresses) {
+    return attempt(() => this.contract.addEligibleVoters(addresses));
+  }
+
+  removeEligibleVoters(addresses) {
+    return attempt(() => this.contract.removeEligibleVoters(addresses));
+  }
+
+  emergencyStop() {
+    return attempt(() => this.contract.emergencyStop());
+  }
+
+  enableResultsAfterEmergency() {
+    return attempt(() => this.contract.enableResultsAfterEmergency());
+  }
+
+  disableResultsAfterEmergency() {
+    return attempt(() => this.contract.disableResultsAfterEmergency());
+  }
+
+  startRevealPhase() {
+    return attempt(() => this.contract.startRevealPhase());
+  }
+
+  updateElectionSettings(settings) {
+    const [eligibilityMode, minimumTokenBalance, requiredNFTContract] = toEligibilityArgs(settings);
+    return attempt(() => this.contract.updateElectionSettings(
+      settings.title,
+      settings.description || '',
+      settings.startTime,
+      settings.endTime,
+      settings.candidateRegistrationDeadline,
+      settings.votingType ?? VotingType.WinnerTakesAll,
+      eligibilityMode,
+      minimumTokenBalance,
+      requiredNFTContract,
+      !!settings.openCandidateRegistration,
+      !!settings.liveResultsEnabled,
+      !!settings.resultsPublic,
+      !!settings.useCommitReveal
+    ));
+  }
+}
+
+// Client for an ElectionFactory
+export class ElectionFactoryClient {
+  constructor({ address, runner }) {
+    this.address = address;
+    this.runner = runner;
+    this.contract = new ethers.Contract(address, ELECTION_FACTORY_ABI, runner);
+  }
+
+  // Factory from a deployments.js registry entry
+  static fromDeployment(deployment, runner) {
+    return new ElectionFactoryClient({ address: deployment.factoryAddress, runner });
+  }
+
+  get provider() {
+    return this.runner.provider || this.runner;
+  }
+
+  connect(runner) {
+    return new ElectionFactoryClient({ address: this.address, runner });
+  }
+
+  election(address) {
+    return new ElectionClient({ address, runner: this.runner });
+  }
+
+  async getElectionCount(overrides = {}) {
+    return Number(await attempt(() => this.contract.electionCount(overrides)));
+  }
+
+  async getAllElections(overrides = {}) {
+    return attempt(() => this.contract.getAllElections(overrides));
+  }
+
+  async getElectionAddress(electionId, overrides = {}) {
+    return attempt(() => this.contract.getElectionAddress(electionId, overrides));
+  }
+
+  // Factory election IDs created by `creator`
+  async getCreatorElections(creator, overrides = {}) {
+    return (await attempt(() => this.contract.getCreatorElections(creator, overrides))).map(Number);
+  }
+
+  async getElectionImplementation(overrides = {}) {
+    return attempt(() => this.contract.electionImplementation(overrides));
+  }
+
+  async getOwner(overrides = {}) {
+    return attempt(() => this.contract.owner(overrides));
+  }
+
+  // Summaries of every election, in factory ID order. onSkipped as in readElections().
+  async listElections({ onSkipped } = {}) {
+    const addresses = await this.getAllElections();
+    return readElections(this.runner, addresses.map((address, id) => ({ id, address })), { onSkipped });
+  }
+
+  // Proxy addresses for factory election IDs, read from the elections(i) getter in one multicall batch.
+  // IDs that fail to answer are left out.
+  async getElectionEntries(ids) {
+    const results = await attempt(() => multicall(this.provider, ids.map(id => ({
+      target: this.address,
+      iface: factoryInterface,
+      method: 'elections',
+      args: [id]
+    }))));
+    return ids.flatMap((id, index) => results[index] ? [{ id, address: results[index][0] }] : []);
+  }
+
+  // Summaries of the given factory election IDs, in the order given. onSkipped as in readElections().
+  async readElectionsById(ids, { onSkipped } = {}) {
+    return readElections(this.runner, await this.getElectionEntries(ids), { onSkipped });
+  }
+
+  /**
+   * One page of election summaries, newest first: the `limit` IDs below `before`
+   * (default: electionCount, i.e. the newest page). Resolves to { elections, total, before },
+   * where `before` is the cursor for the next, older page and 0 once the oldest page is read.
+   * IDs are never reused, so a cursor stays valid while new elections are created.
+   * onSkipped as in readElections().
+   */
+  async listElectionsPage({ before = null, limit = ELECTION_PAGE_SIZE, onSkipped } = {}) {
+    const total = await this.getElectionCount();
+    const end = Math.min(before ?? total, total);
+    const start = Math.max(0, end - limit);
+    const ids = Array.from({ length: end - start }, (_, index) => end - 1 - index);
+    return { elections: await this.readElectionsById(ids, { onSkipped }), total, before: start };
+  }
+
+  /**
+   * The factory election ID of the proxy at `address`, from its ElectionCreated log between
+   * fromBlock and toBlock (default: latest), or null if the factory didn't create it.
+   * Ranges are scanned newest first.
+   */
+  async findElectionId(address, { fromBlock = 0, toBlock } = {}) {
+    const provider = this.provider;
+    const lastBlock = toBlock ?? await attempt(() => provider.getBlockNumber());
+    const topics = [
+      factoryInterface.getEvent('ElectionCreated').topicHash,
+      null,
+      ethers.zeroPadValue(address, 32).toLowerCase()
+    ];
+
+    for (let end = lastBlock; end >= fromBlock; end -= LOG_CHUNK_SIZE) {
+      const logs = await attempt(() => provider.getLogs({
+        address: this.address,
+        topics,
+        fromBlock: Math.max(fromBlock, end - LOG_CHUNK_SIZE + 1),
+        toBlock: end
+      }));
+      if (logs.length > 0) return Number(factoryInterface.parseLog(logs[0]).args.electionId);
+    }
+    return null;
+  }
+
+  createElection(settings) {
+    return attempt(() => this.contract.createElection(toConfigTuple(settings), ...toEligibilityArgs(settings)));
+  }
+
+  // Factory owner only
+  updateElectionImplementation(implementation) {
+    return attempt(() => this.contract.updateElectionImplementation(implementation));
+  }
+
+  // The ElectionCreated event in a createElection receipt: { electionId, electionAddress, creator, title }, or null
+  parseElectionCreated(receipt) {
+    const event = receipt.logs
+      .filter(log => log.address.toLowerCase() === this.address.toLowerCase())
+      .map(log => factoryInterface.parseLog(log))
+      .find(parsed => parsed?.name === 'ElectionCreated');
+    return event ? {
+      electionId: Number(event.args.electionId),
+      electionAddress: event.args.electionAddress,
+      creator: event.args.creator,
+      title: event.args.title
+    } : null;
+  }
+}
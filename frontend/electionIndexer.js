@@ -0,0 +1,364 @@
+import { ethers } from 'ethers';
+
+// Browser-side event index kept in IndexedDB. The first sync scans factory and election
+// logs from the factory's deployment block; later syncs only scan blocks after the last
+// indexed one. Block hashes are recorded at each sync checkpoint so a reorg can be
+// detected and the entries from orphaned blocks rolled back.
+//
+// Stores:
+//   elections     - ElectionCreated logs from the factory
+//   candidates    - CandidateRegistered logs
+//   votes         - VoteCast / VoteRevealed logs
+//   registrations - VoterRegistered / VoteCommitted logs
+//   summaries     - latest snapshot of each election (see syncElectionIndex)
+//   blocks        - checkpoint block hashes for reorg detection
+//   meta          - the sync cursor and per-account whitelist checks
+
+const DB_VERSION = 2;
+
+// Block range per getLogs request; most public RPCs cap ranges somewhere above this
+export const LOG_CHUNK_SIZE = 2000;
+
+// Checkpoints kept for reorg detection
+const BLOCK_HASH_HISTORY = 64;
+
+// Elections per readSummaries() call when refreshing snapshots
+const SUMMARY_BATCH_SIZE = 100;
+
+// Election addresses per getLogs request
+const LOG_ADDRESS_BATCH_SIZE = 100;
+
+const EVENT_STORES = ['elections', 'candidates', 'votes', 'registrations'];
+
+const factoryInterface = new ethers.Interface([
+  "event ElectionCreated(uint256 indexed electionId, address indexed electionAddress, address indexed creator, string title)"
+]);
+
+const electionInterface = new ethers.Interface([
+  "event VoteCast(address indexed voter, uint256 candidateId)",
+  "event VoteRevealed(address indexed voter, uint256 candidateId)",
+  "event CandidateRegistered(uint256 indexed candidateId, string name, address indexed registrant)",
+  "event VoterRegistered(address indexed voter)",
+  "event VoteCommitted(address indexed voter)",
+  "event EmergencyStop(address indexed owner, uint256 timestamp)",
+  "event ResultsEnabledAfterEmergency(address indexed owner)",
+  "event ResultsDisabledAfterEmergency(address indexed owner)",
+  "event RevealPhaseStarted(uint256 revealDeadline)"
+]);
+
+const ELECTION_CREATED_TOPIC = factoryInterface.getEvent('ElectionCreated').topicHash;
+// Every election event that changes what an election summary shows. Settings and whitelist
+// changes emit none, but the contract only allows them before the election starts. Ownership
+// transfers are left out: OwnershipTransferred is emitted by every Ownable contract, so the
+// owner shown is picked up the next time the summary is read.
+const ELECTION_EVENT_TOPICS = [
+  'VoteCast',
+  'VoteRevealed',
+  'CandidateRegistered',
+  'VoterRegistered',
+  'VoteCommitted',
+  'EmergencyStop',
+  'ResultsEnabledAfterEmergency',
+  'ResultsDisabledAfterEmergency',
+  'RevealPhaseStarted'
+].map(name => electionInterface.getEvent(name).topicHash);
+
+// ElectionStatus.NotStarted in electionClient.js
+const NOT_STARTED = 0;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+const getAll = (db, storeName) => promisify(db.transaction(storeName).objectStore(storeName).getAll());
+
+const getAllByElection = (db, storeName, election) =>
+  promisify(db.transaction(storeName).objectStore(storeName).index('election').getAll(election));
+
+const getAllByIndex = (db, storeName, indexName, key) =>
+  promisify(db.transaction(storeName).objectStore(storeName).index(indexName).getAll(key));
+
+/**
+ * Open (creating if needed) the index for one factory on one chain.
+ * Resolves to null where IndexedDB isn't available.
+ */
+export const openElectionIndex = ({ chainId, factoryAddress }) => {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(`blockvote-index-${chainId}-${factoryAddress.toLowerCase()}`, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      // Earlier versions lack the per-account indexes, so start over and re-scan from the deployment block
+      Array.from(db.objectStoreNames).forEach(storeName => db.deleteObjectStore(storeName));
+
+      db.createObjectStore('elections', { keyPath: 'address' }).createIndex('blockNumber', 'blockNumber');
+
+      const candidates = db.createObjectStore('candidates', { keyPath: 'key' });
+      candidates.createIndex('election', 'election');
+      candidates.createIndex('registrant', 'registrant');
+      candidates.createIndex('blockNumber', 'blockNumber');
+
+      const votes = db.createObjectStore('votes', { keyPath: 'key' });
+      votes.createIndex('election', 'election');
+      votes.createIndex('voter', 'voter');
+      votes.createIndex('blockNumber', 'blockNumber');
+
+      const registrations = db.createObjectStore('registrations', { keyPath: 'key' });
+      registrations.createIndex('election', 'election');
+      registrations.createIndex('voter', 'voter');
+      registrations.createIndex('blockNumber', 'blockNumber');
+
+      db.createObjectStore('summaries', { keyPath: 'address' });
+      db.createObjectStore('blocks', { keyPath: 'number' });
+      db.createObjectStore('meta', { keyPath: 'key' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+// Delete everything indexed after blockNumber and move the cursor back to it. Snapshots of
+// the elections involved are dropped too, as they may show the orphaned events.
+const rollbackTo = async (db, blockNumber) => {
+  const tx = db.transaction([...EVENT_STORES, 'summaries', 'blocks', 'meta'], 'readwrite');
+  const orphaned = IDBKeyRange.lowerBound(blockNumber, true);
+
+  EVENT_STORES.forEach(storeName => {
+    tx.objectStore(storeName).index('blockNumber').openCursor(orphaned).onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        tx.objectStore('summaries').delete(cursor.value.election || cursor.value.address);
+        cursor.delete();
+        cursor.continue();
+      }
+    };
+  });
+  tx.objectStore('blocks').delete(orphaned);
+  tx.objectStore('meta').put({ key: 'cursor', lastBlock: blockNumber });
+
+  await transactionDone(tx);
+};
+
+// Compare checkpoints against the chain, newest first, and roll back to the newest
+// one still canonical. Returns the block to resume scanning after.
+const reconcileReorgs = async (db, provider, lastBlock, deploymentBlock, onReorg) => {
+  const checkpoints = (await getAll(db, 'blocks')).sort((a, b) => b.number - a.number);
+  if (checkpoints.length === 0) return lastBlock;
+
+  for (const checkpoint of checkpoints) {
+    const block = await provider.getBlock(checkpoint.number);
+    if (block && block.hash === checkpoint.hash) {
+      if (checkpoint.number < lastBlock) {
+        await rollbackTo(db, checkpoint.number);
+        onReorg?.({ blockNumber: checkpoint.number, rebuilt: false });
+      }
+      return Math.min(lastBlock, checkpoint.number);
+    }
+  }
+
+  // Nothing we recorded survived, so rebuild from the deployment block
+  await rollbackTo(db, deploymentBlock - 1);
+  onReorg?.({ blockNumber: deploymentBlock - 1, rebuilt: true });
+  return deploymentBlock - 1;
+};
+
+const pruneCheckpoints = async (db) => {
+  const checkpoints = (await getAll(db, 'blocks')).sort((a, b) => b.number - a.number);
+  if (checkpoints.length <= BLOCK_HASH_HISTORY) return;
+
+  const tx = db.transaction('blocks', 'readwrite');
+  checkpoints.slice(BLOCK_HASH_HISTORY).forEach(checkpoint => tx.objectStore('blocks').delete(checkpoint.number));
+  await transactionDone(tx);
+};
+
+// Re-read the snapshots that are out of date: elections without one (new, or dropped because
+// they emitted events since), and elections read before they started that have started by
+// `now` (unix ms, chain time). Settings and the whitelist can change without an event until
+// the start, so the snapshot read after it is final; until then an upcoming election shows
+// what it had at its last read. Anything else only changes through the events the sync
+// watches, so those snapshots stay current.
+const refreshSummaries = async (db, readSummaries, now) => {
+  const [elections, summaries] = await Promise.all([getAll(db, 'elections'), getAll(db, 'summaries')]);
+  const snapshots = new Map(summaries.map(summary => [summary.address, summary]));
+  const stale = elections
+    .filter(election => {
+      const snapshot = snapshots.get(election.address);
+      return !snapshot || (snapshot.status === NOT_STARTED && snapshot.startTime <= now);
+    })
+    .map(({ id, address }) => ({ id, address }));
+
+  for (let start = 0; start < stale.length; start += SUMMARY_BATCH_SIZE) {
+    // Elections that fail to read are left without a snapshot and retried on the next sync
+    await cacheElectionSummaries(db, await readSummaries(stale.slice(start, start + SUMMARY_BATCH_SIZE)));
+  }
+};
+
+/**
+ * Bring the index up to the chain head. Progress is committed per chunk, so an
+ * interrupted sync resumes where it stopped.
+ *
+ * onReorg({ blockNumber, rebuilt }) - optional; called after a reorg rolled the index back to
+ *                          blockNumber (rebuilt: nothing recorded survived, so it starts over)
+ * readSummaries(entries) - optional; reads election summaries for [{ id, address }], e.g.
+ *                          readElections() from electionClient.js. When given, the summaries
+ *                          store is kept current for every election (see refreshSummaries), so
+ *                          getCachedElectionSummaries() can stand in for reading them all.
+ *                          The first sync reads every election once; later ones only those
+ *                          that emitted events or have started since.
+ *
+ * Resolves to { lastBlock, latest }.
+ */
+export const syncElectionIndex = async (db, { provider, factoryAddress, deploymentBlock = 0, onProgress, onReorg, readSummaries }) => {
+  const cursor = await promisify(db.transaction('meta').objectStore('meta').get('cursor'));
+  let lastBlock = cursor ? cursor.lastBlock : deploymentBlock - 1;
+  lastBlock = await reconcileReorgs(db, provider, lastBlock, deploymentBlock, onReorg);
+
+  const latest = await provider.getBlockNumber();
+  const known = new Set((await getAll(db, 'elections')).map(election => election.address));
+
+  for (let fromBlock = lastBlock + 1; fromBlock <= latest; fromBlock += LOG_CHUNK_SIZE) {
+    const toBlock = Math.min(fromBlock + LOG_CHUNK_SIZE - 1, latest);
+    const [factoryLogs, checkpoint] = await Promise.all([
+      provider.getLogs({ address: factoryAddress, topics: [ELECTION_CREATED_TOPIC], fromBlock, toBlock }),
+      provider.getBlock(toBlock)
+    ]);
+    const created = factoryLogs.map(log => ({ log, args: factoryInterface.parseLog(log).args }));
+    created.forEach(({ args }) => known.add(ethers.getAddress(args.electionAddress)));
+
+    // Election events are only requested from the factory's elections (those created in this
+    // range included), a batch of addresses per request
+    const addresses = [...known];
+    const electionLogs = [];
+    for (let start = 0; start < addresses.length; start += LOG_ADDRESS_BATCH_SIZE) {
+      electionLogs.push(...await provider.getLogs({
+        address: addresses.slice(start, start + LOG_ADDRESS_BATCH_SIZE),
+        topics: [ELECTION_EVENT_TOPICS],
+        fromBlock,
+        toBlock
+      }));
+    }
+
+    const tx = db.transaction([...EVENT_STORES, 'summaries', 'blocks', 'meta'], 'readwrite');
+
+    created.forEach(({ log, args }) => {
+      tx.objectStore('elections').put({
+        address: ethers.getAddress(args.electionAddress),
+        id: Number(args.electionId),
+        creator: args.creator,
+        title: args.title,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash
+      });
+    });
+
+    electionLogs.forEach(log => {
+      const election = ethers.getAddress(log.address);
+
+      // The snapshot no longer matches; refreshSummaries() reads it again
+      tx.objectStore('summaries').delete(election);
+
+      const parsed = electionInterface.parseLog(log);
+      if (parsed.name === 'VoterRegistered' || parsed.name === 'VoteCommitted') {
+        tx.objectStore('registrations').put({
+          key: `${log.transactionHash}:${log.index}`,
+          election,
+          type: parsed.name === 'VoterRegistered' ? 'registered' : 'committed',
+          voter: parsed.args.voter,
+          blockNumber: log.blockNumber
+        });
+      } else if (parsed.name === 'CandidateRegistered') {
+        const candidateId = Number(parsed.args.candidateId);
+        tx.objectStore('candidates').put({
+          key: `${election}:${candidateId}`,
+          election,
+          candidateId,
+          name: parsed.args.name,
+          registrant: parsed.args.registrant,
+          blockNumber: log.blockNumber
+        });
+      } else if (parsed.name === 'VoteCast' || parsed.name === 'VoteRevealed') {
+        tx.objectStore('votes').put({
+          key: `${log.transactionHash}:${log.index}`,
+          election,
+          type: parsed.name === 'VoteCast' ? 'cast' : 'reveal',
+          voter: parsed.args.voter,
+          candidateId: Number(parsed.args.candidateId),
+          blockNumber: log.blockNumber,
+          blockHash: log.blockHash,
+          transactionHash: log.transactionHash,
+          logIndex: log.index
+        });
+      }
+    });
+
+    tx.objectStore('blocks').put({ number: toBlock, hash: checkpoint.hash });
+    tx.objectStore('meta').put({ key: 'cursor', lastBlock: toBlock });
+    await transactionDone(tx);
+
+    lastBlock = toBlock;
+    onProgress?.({ lastBlock, latest });
+  }
+
+  await pruneCheckpoints(db);
+  if (readSummaries) {
+    const head = await provider.getBlock(latest);
+    await refreshSummaries(db, readSummaries, head.timestamp * 1000);
+  }
+  return { lastBlock, latest };
+};
+
+export const getIndexedElections = async (db) =>
+  (await getAll(db, 'elections')).sort((a, b) => a.id - b.id);
+
+export const getIndexedCandidates = async (db, election) =>
+  (await getAllByElection(db, 'candidates', election)).sort((a, b) => a.candidateId - b.candidateId);
+
+export const getIndexedVotes = async (db, election) =>
+  (await getAllByElection(db, 'votes', election)).sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+/**
+ * The elections `account` has left a trace in: VoterRegistered, VoteCommitted, VoteCast or
+ * VoteRevealed logs with it as the voter, and CandidateRegistered logs with it as the
+ * registrant. Resolves to their ElectionCreated entries, in factory ID order.
+ */
+export const getAccountElections = async (db, account) => {
+  const address = ethers.getAddress(account);
+  const [registrations, votes, candidates, elections] = await Promise.all([
+    getAllByIndex(db, 'registrations', 'voter', address),
+    getAllByIndex(db, 'votes', 'voter', address),
+    getAllByIndex(db, 'candidates', 'registrant', address),
+    getIndexedElections(db)
+  ]);
+  const involved = new Set([...registrations, ...votes, ...candidates].map(entry => entry.election));
+  return elections.filter(election => involved.has(election.address));
+};
+
+// Whitelist checks of `account` from findAccountElectionIds() (accountActivity.js):
+// { eligible: [electionAddress], settled: [electionAddress] }
+export const getWhitelistChecks = async (db, account) =>
+  (await promisify(db.transaction('meta').objectStore('meta').get(`whitelist:${ethers.getAddress(account)}`))) ||
+  { eligible: [], settled: [] };
+
+export const saveWhitelistChecks = async (db, account, { eligible, settled }) => {
+  const tx = db.transaction('meta', 'readwrite');
+  tx.objectStore('meta').put({ key: `whitelist:${ethers.getAddress(account)}`, eligible, settled });
+  await transactionDone(tx);
+};
+
+// Election snapshots, shown before the live reads finish. One per election while syncs keep them (see syncElectionIndex).
+export const getCachedElectionSummaries = async (db) =>
+  (await getAll(db, 'summaries')).sort((a, b) => a.id - b.id);
+
+export const cacheElectionSummaries = async (db, summaries) => {
+  const tx = db.transaction('summaries', 'readwrite');
+  summaries.forEach(summary => tx.objectStore('summaries').put(summary));
+  await transactionDone(tx);
+};
@@ -0,0 +1,79 @@
+import { ethers } from 'ethers';
+
+// Client-side checks mirroring the require() rules in ElectionFactory.createElection
+// and Election.updateElectionSettings, so bad settings are caught before a wallet popup.
+
+// Eligibility modes, as in Election.VoterEligibilityMode
+const TOKEN_BASED = '2';
+const NFT_BASED = '3';
+
+// Leave time for the transaction to be mined before "start time must be in future" applies
+const START_TIME_MARGIN_SECONDS = 60;
+
+const MAX_TOKEN_DECIMALS = 36;
+
+// datetime-local input value to unix seconds (NaN when empty or malformed)
+export const toUnixSeconds = (value) => Math.floor(new Date(value).getTime() / 1000);
+
+/**
+ * Validate election settings in the Create Election form shape.
+ * Returns an object of { field: message }; empty when the settings are valid.
+ */
+export const validateElectionSettings = (settings, { now = Date.now() } = {}) => {
+  const errors = {};
+  const nowSeconds = Math.floor(now / 1000);
+
+  if (!settings.title || settings.title.trim().length === 0) {
+    errors.title = 'Title required';
+  }
+
+  const startTime = toUnixSeconds(settings.startTime);
+  const endTime = toUnixSeconds(settings.endTime);
+  const candidateDeadline = toUnixSeconds(settings.candidateDeadline);
+
+  if (Number.isNaN(startTime)) {
+    errors.startTime = 'Start time required';
+  } else if (startTime <= nowSeconds + START_TIME_MARGIN_SECONDS) {
+    errors.startTime = 'Start time must be in the future';
+  }
+
+  if (Number.isNaN(endTime)) {
+    errors.endTime = 'End time required';
+  } else if (!Number.isNaN(startTime) && endTime <= startTime) {
+    errors.endTime = 'End time must be after start time';
+  }
+
+  if (Number.isNaN(candidateDeadline)) {
+    errors.candidateDeadline = 'Candidate registration deadline required';
+  } else if (!Number.isNaN(startTime) && candidateDeadline > startTime) {
+    errors.candidateDeadline = 'Candidate deadline must be before start';
+  }
+
+  if (settings.eligibilityMode === TOKEN_BASED) {
+    const decimals = Number(settings.tokenDecimals);
+    if (!Number.isInteger(decimals) || decimals < 0 || decimals > MAX_TOKEN_DECIMALS) {
+      errors.tokenDecimals = `Decimals must be a whole number from 0 to ${MAX_TOKEN_DECIMALS}`;
+    } else {
+      try {
+        if (ethers.parseUnits(settings.minimumTokenBalance || '0', decimals) <= 0n) {
+          errors.minimumTokenBalance = 'Minimum token balance must be greater than 0';
+        }
+      } catch (error) {
+        errors.minimumTokenBalance = `Enter a number with at most ${decimals} decimal places`;
+      }
+    }
+  }
+
+  if (settings.eligibilityMode === NFT_BASED) {
+    const nftContract = (settings.requiredNFTContract || '').trim();
+    if (!ethers.isAddress(nftContract) || nftContract === ethers.ZeroAddress) {
+      errors.requiredNFTContract = 'Enter a valid NFT contract address';
+    } else if (nftContract !== ethers.getAddress(nftContract)) {
+      errors.requiredNFTContract = `Address is not checksummed. Did you mean ${ethers.getAddress(nftContract)}?`;
+    }
+  }
+
+  return errors;
+};
+
+export const hasValidationErrors = (errors) => Object.keys(errors).length > 0;
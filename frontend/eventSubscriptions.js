@@ -0,0 +1,97 @@
+// Log subscriptions built on getLogs polling rather than provider.on(), so a dropped
+// connection only delays updates: the next successful poll resumes from the last
+// scanned block. Each poll re-scans a few blocks back so logs re-included after a
+// reorg are still seen, and logs already delivered are skipped. After an outage the
+// missed blocks are caught up one LOG_CHUNK_SIZE range at a time, so no request spans
+// more blocks than an RPC will serve.
+
+import { LOG_CHUNK_SIZE } from './electionIndexer.js';
+
+const DEFAULT_POLL_INTERVAL_MS = 4000;
+
+// Blocks re-scanned on every poll to catch logs moved by a reorg
+const REORG_DEPTH = 12;
+
+// Transaction hash and log index stay the same when a transaction is re-mined in another block
+const logKey = (log) => `${log.transactionHash}:${log.index}`;
+
+/**
+ * Poll for logs emitted by `addresses` whose topic0 is one of `eventTopics`.
+ * onLogs(logs) is called with new logs only, in chain order.
+ *
+ *   fromBlock  - first block to scan; by default the subscription starts at the current head.
+ *                A subscription replacing another can pass the block after the one the old
+ *                subscription last reported, so nothing mined in between is missed.
+ *   onProgress - optional; called with { lastBlock } once every block up to lastBlock is scanned
+ *   onError    - optional; called with the error when a poll fails (usually a dropped
+ *                connection). The next poll retries from the same block.
+ *
+ * Returns an unsubscribe function.
+ */
+export const subscribeToLogs = ({
+  provider,
+  addresses,
+  eventTopics,
+  onLogs,
+  fromBlock: startBlock = null,
+  onProgress,
+  onError,
+  pollInterval = DEFAULT_POLL_INTERVAL_MS
+}) => {
+  let stopped = false;
+  let timer = null;
+  // The first poll re-scans the REORG_DEPTH blocks before startBlock as well; logs seen twice are only re-applied
+  let lastBlock = startBlock === null ? null : startBlock - 1;
+  const delivered = new Map(); // logKey -> blockNumber
+
+  const poll = async () => {
+    let caughtUp = true;
+    try {
+      const latest = await provider.getBlockNumber();
+      if (lastBlock === null) {
+        // Start from the current head; earlier state is already loaded
+        lastBlock = latest;
+        onProgress?.({ lastBlock });
+      } else {
+        // The head can move backwards after a reorg, so anchor on whichever is lower
+        const fromBlock = Math.max(0, Math.min(lastBlock, latest) - REORG_DEPTH + 1);
+        const toBlock = Math.min(latest, fromBlock + LOG_CHUNK_SIZE - 1);
+        const logs = await provider.getLogs({
+          address: addresses,
+          topics: [eventTopics],
+          fromBlock,
+          toBlock
+        });
+        if (stopped) return;
+
+        const fresh = logs.filter(log => !log.removed && !delivered.has(logKey(log)));
+        fresh.forEach(log => delivered.set(logKey(log), log.blockNumber));
+
+        // Forget logs that have fallen out of the re-scan window
+        delivered.forEach((blockNumber, key) => {
+          if (blockNumber < fromBlock) delivered.delete(key);
+        });
+
+        lastBlock = toBlock;
+        caughtUp = toBlock === latest;
+        if (fresh.length > 0) onLogs(fresh);
+        onProgress?.({ lastBlock });
+      }
+    } catch (error) {
+      // Keep the cursor and retry on the next poll
+      if (!stopped) onError?.(error);
+    }
+
+    // Still behind the head: scan the next range right away
+    if (!stopped) {
+      timer = setTimeout(poll, caughtUp ? pollInterval : 0);
+    }
+  };
+
+  poll();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+};
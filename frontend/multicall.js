@@ -0,0 +1,53 @@
+import { ethers } from 'ethers';
+
+// Multicall3 is deployed at the same address on most EVM chains
+const MULTICALL3_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) external payable returns ((bool success, bytes returnData)[])"
+];
+
+const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+// Max calls packed into a single aggregate3 request
+const MULTICALL_BATCH_SIZE = 500;
+
+// Batch read-only calls through Multicall3. Each call is { target, iface, method, args }
+// and resolves to the decoded result, or null if that call reverted.
+// Falls back to parallel eth_calls where the aggregator isn't deployed (e.g. a fresh Hardhat node).
+// Pass blockTag to read every call at the same historical block.
+export const multicall = async (web3Provider, calls, { blockTag = 'latest' } = {}) => {
+  if (calls.length === 0) return [];
+
+  const aggregatorCode = await web3Provider.getCode(MULTICALL3_ADDRESS, blockTag);
+  if (aggregatorCode === '0x') {
+    return Promise.all(calls.map(async ({ target, iface, method, args = [] }) => {
+      let data;
+      try {
+        data = await web3Provider.call({ to: target, data: iface.encodeFunctionData(method, args), blockTag });
+      } catch (error) {
+        // Only a revert belongs to this call; network and RPC errors fail the whole read
+        if (ethers.isError(error, 'CALL_EXCEPTION')) return null;
+        throw error;
+      }
+      return iface.decodeFunctionResult(method, data);
+    }));
+  }
+
+  const aggregator = new ethers.Contract(MULTICALL3_ADDRESS, MULTICALL3_ABI, web3Provider);
+  const results = [];
+  for (let i = 0; i < calls.length; i += MULTICALL_BATCH_SIZE) {
+    const batch = calls.slice(i, i + MULTICALL_BATCH_SIZE);
+    const responses = await aggregator.aggregate3.staticCall(
+      batch.map(({ target, iface, method, args = [] }) => ({
+        target,
+        allowFailure: true,
+        callData: iface.encodeFunctionData(method, args)
+      })),
+      { blockTag }
+    );
+    responses.forEach(([success, returnData], index) => {
+      const { iface, method } = batch[index];
+      results.push(success ? iface.decodeFunctionResult(method, returnData) : null);
+    });
+  }
+  return results;
+};
@@ -0,0 +1,108 @@
+import { ElectionClient, ElectionStatus, VotingType } from './electionClient.js';
+
+// Results snapshots for archiving. Every read is pinned to one block, and the block
+// number and hash are recorded with the results so the snapshot can be re-checked
+// against the chain later.
+
+// As in Election.VotingType
+const VOTING_TYPE_NAMES = ['WinnerTakesAll', 'Leaderboard'];
+
+/**
+ * Read getResults() plus getWinner() or getLeaderboard() (by votingType) at the latest block.
+ * `viewer` is sent as the call's from address, so owners can export results that are not public yet.
+ * The winner/leaderboard is only available once the election has ended at that block; it is null before then.
+ */
+export const readResultsSnapshot = async ({ provider, election, viewer }) => {
+  const [block, network] = await Promise.all([provider.getBlock('latest'), provider.getNetwork()]);
+  const client = new ElectionClient({ address: election.address, runner: provider });
+  const overrides = { blockTag: block.number, ...(viewer ? { from: viewer } : {}) };
+
+  // Status and candidate count are read at the pinned block too; the dashboard summary may be stale
+  const [{ candidates: results, totalVotes, participationRate }, status, candidateCount] = await Promise.all([
+    client.getResults(overrides),
+    client.getStatus(overrides),
+    client.getCandidateCount(overrides)
+  ]);
+
+  let winner = null;
+  let leaderboard = null;
+  if (status === ElectionStatus.Ended && election.votingType === VotingType.WinnerTakesAll) {
+    winner = await client.getWinner(overrides);
+  } else if (status === ElectionStatus.Ended && election.votingType === VotingType.Leaderboard && candidateCount > 0) {
+    // getLeaderboard() underflows and reverts when there are no candidates
+    leaderboard = await client.getLeaderboard(overrides);
+  }
+
+  return {
+    election: {
+      address: election.address,
+      title: election.title,
+      votingType: VOTING_TYPE_NAMES[election.votingType]
+    },
+    chainId: network.chainId.toString(),
+    blockNumber: block.number,
+    blockHash: block.hash,
+    blockTimestamp: block.timestamp,
+    exportedAt: new Date().toISOString(),
+    totalVotes,
+    participationRate,
+    results,
+    winner,
+    leaderboard
+  };
+};
+
+export const resultsToJSON = (snapshot) => JSON.stringify(snapshot, null, 2);
+
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (cells) => cells.map(csvCell).join(',');
+
+/**
+ * CSV with the provenance as key/value rows, then the results table.
+ * Rank and winner columns come from getLeaderboard()/getWinner() when available.
+ */
+export const resultsToCSV = (snapshot) => {
+  const ranks = new Map((snapshot.leaderboard || []).map(entry => [entry.candidateId, entry.rank]));
+
+  const rows = [
+    ['election_address', snapshot.election.address],
+    ['election_title', snapshot.election.title],
+    ['voting_type', snapshot.election.votingType],
+    ['chain_id', snapshot.chainId],
+    ['block_number', snapshot.blockNumber],
+    ['block_hash', snapshot.blockHash],
+    ['block_timestamp', snapshot.blockTimestamp],
+    ['exported_at', snapshot.exportedAt],
+    ['total_votes', snapshot.totalVotes],
+    ['participation_rate', snapshot.participationRate],
+    [],
+    ['candidate_id', 'candidate_name', 'votes', 'rank', 'winner'],
+    ...snapshot.results.map(result => [
+      result.candidateId,
+      result.name,
+      result.votes,
+      ranks.get(result.candidateId) ?? '',
+      snapshot.winner ? snapshot.winner.candidateId === result.candidateId : ''
+    ])
+  ];
+
+  return rows.map(csvRow).join('\n') + '\n';
+};
+
+// File name shared by both formats, e.g. results-0x1234abcd-block-1042
+export const resultsFileName = (snapshot) =>
+  `results-${snapshot.election.address.slice(0, 10)}-block-${snapshot.blockNumber}`;
+
+export const downloadFile = (fileName, content, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,77 @@
+// Small History API router for the app's handful of routes:
+//   /                              dashboard
+//   /create                        create election
+//   /manage                        election management
+//   /activity                      the connected account's elections ("My Activity")
+//   /election/:address             election details
+//   /election/:address/results     election details, scrolled to the results
+// The dashboard search, status filter and sort order are kept in the query string
+// (?q=...&status=...&sort=..., sort omitted for the default newest-first order),
+// and ?demo=1 marks demo mode (simulatedChain.js), so a demo link opens straight into it.
+// The server must serve index.html for these paths (Vite's dev server already does).
+
+const TAB_PATHS = { dashboard: '/', create: '/create', manage: '/manage', activity: '/activity' };
+
+const ELECTION_PATH = /^\/election\/(0x[0-9a-fA-F]{40})(\/results)?\/?$/;
+
+/**
+ * Route for a location: { tab, electionAddress, section: 'results' | null, search, status, sort, demo }.
+ * Unknown paths fall back to the dashboard.
+ */
+export const parseRoute = ({ pathname, search }) => {
+  const params = new URLSearchParams(search);
+  const route = {
+    tab: 'dashboard',
+    electionAddress: null,
+    section: null,
+    search: params.get('q') || '',
+    status: params.get('status') || '',
+    sort: params.get('sort') || '',
+    demo: params.get('demo') === '1'
+  };
+
+  const electionMatch = pathname.match(ELECTION_PATH);
+  if (electionMatch) {
+    route.electionAddress = electionMatch[1];
+    route.section = electionMatch[2] ? 'results' : null;
+  } else {
+    const path = pathname.length > 1 ? pathname.replace(/\/$/, '') : pathname;
+    route.tab = Object.keys(TAB_PATHS).find(tab => TAB_PATHS[tab] === path) || 'dashboard';
+  }
+  return route;
+};
+
+export const buildUrl = (route) => {
+  const path = route.electionAddress
+    ? `/election/${route.electionAddress}${route.section === 'results' ? '/results' : ''}`
+    : TAB_PATHS[route.tab] || '/';
+
+  const params = new URLSearchParams();
+  if (route.search) params.set('q', route.search);
+  if (route.status) params.set('status', route.status);
+  if (route.sort) params.set('sort', route.sort);
+  if (route.demo) params.set('demo', '1');
+  const query = params.toString();
+  return query ? `${path}?${query}` : path;
+};
+
+// Push when the path changes, so back/forward step between views;
+// replace when only the query changes, so typing a search doesn't flood the history
+export const syncUrl = (route) => {
+  const url = buildUrl(route);
+  const { pathname, search } = window.location;
+  if (url === pathname + search) return;
+
+  if (url.split('?')[0] === pathname) {
+    window.history.replaceState(null, '', url);
+  } else {
+    window.history.pushState(null, '', url);
+  }
+};
+
+// Calls onChange(route) on back/forward navigation. Returns an unsubscribe function.
+export const subscribeToRoute = (onChange) => {
+  const handlePopState = () => onChange(parseRoute(window.location));
+  window.addEventListener('popstate', handlePopState);
+  return () => window.removeEventListener('popstate', handlePopState);
+};
@@ -0,0 +1,965 @@
+import { ethers } from 'ethers';
+import {
+  ELECTION_ABI,
+  ELECTION_FACTORY_ABI,
+  ERC20_ABI,
+  ERC721_ABI,
+  ElectionFactoryClient,
+  computeCommitHash
+} from './electionClient.js';
+
+// A deterministic, in-memory chain for demo mode and for testing UI flows without a node.
+//
+// SimulatedChain stands in for an ethers Provider (call, getLogs, getBlock, receipts, ...)
+// and SimulatedSigner for a Signer, so the real clients, multicall, event polling, results
+// export and tally audit all run against it unchanged. Behind them, the Election and
+// ElectionFactory contracts are re-implemented in JS with the same require() order and
+// revert reasons, including time-based status, eligibility modes, commit-reveal hash checks,
+// result visibility and emergency stop. Every transaction is mined at once into its own block.
+//
+// Reads always see the latest state (blockTag is ignored), and there is no gas, value or
+// proxy upgrade. Given the same fixture and a fixed clock, addresses, hashes and state
+// come out identical on every run.
+
+// Chain ID reported by the simulated chain. No deployment registry entry uses it,
+// so the app keeps no event index for it.
+export const SIMULATED_CHAIN_ID = 7357;
+
+const DAY = 24 * 60 * 60;
+
+// Election events the app's ABI leaves out, so logs match what the contract emits
+const electionInterface = new ethers.Interface([
+  ...ELECTION_ABI,
+  "event ElectionCreated(address indexed creator, string title)",
+  "event ElectionEnded(uint256 endTime)",
+  "event ResultsEnabledAfterEmergency(address indexed owner)",
+  "event ResultsDisabledAfterEmergency(address indexed owner)"
+]);
+const factoryInterface = new ethers.Interface(ELECTION_FACTORY_ABI);
+const erc20Interface = new ethers.Interface(ERC20_ABI);
+const erc721Interface = new ethers.Interface(ERC721_ABI);
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+// Thrown inside contract code; carries the ABI-encoded revert data a node would return
+class Revert extends Error {
+  constructor(data) {
+    super('execution reverted');
+    this.data = data;
+  }
+}
+
+// require(condition, reason)
+const check = (condition, reason) => {
+  if (!condition) throw new Revert(ethers.concat(['0x08c379a0', abiCoder.encode(['string'], [reason])]));
+};
+
+// Checked arithmetic failing, as in Election.getLeaderboard() with no candidates
+const ARITHMETIC_PANIC = new Revert(ethers.concat(['0x4e487b71', abiCoder.encode(['uint256'], [0x11])]));
+
+// OpenZeppelin Ownable's onlyOwner
+const checkOwner = (iface, owner, sender) => {
+  if (sender.toLowerCase() !== owner.toLowerCase()) {
+    throw new Revert(iface.encodeErrorResult('OwnableUnauthorizedAccount', [sender]));
+  }
+};
+
+const key = (address) => address.toLowerCase();
+
+// Deterministic address for a named fixture account or contract
+const nameToAddress = (name) => ethers.getAddress(ethers.dataSlice(ethers.id(`blockvote:simulated:${name}`), 12));
+
+const ElectionStatus = { NotStarted: 0, Ongoing: 1, Ended: 2 };
+const Mode = { Whitelist: 0, OpenRegistration: 1, TokenBased: 2, NFTBased: 3 };
+
+// --- Election ---------------------------------------------------------------------------
+
+const createElectionState = ({ address, owner, config, mode, minimumTokenBalance, requiredNFTContract }) => ({
+  address,
+  owner,
+  config,
+  candidates: [],
+  candidateNameExists: new Set(),
+  isCandidateRegistered: new Set(),
+  hasVoted: new Set(),
+  isEligibleVoter: new Set(),
+  voteCommits: new Map(),
+  hasRegisteredToVote: new Set(),
+  totalVotes: 0,
+  totalEligibleVoters: 0,
+  totalRegisteredVoters: 0,
+  revealDeadline: config.useCommitReveal ? config.endTime + DAY : 0,
+  isRevealPhase: false,
+  voterEligibilityMode: mode,
+  minimumTokenBalance,
+  requiredNFTContract,
+  isEmergencyStopped: false,
+  allowResultsAfterEmergency: false
+});
+
+const toConfig = ([title, description, startTime, endTime, deadline, votingType, open, live, isPublic, commitReveal]) => ({
+  title,
+  description,
+  startTime: Number(startTime),
+  endTime: Number(endTime),
+  candidateRegistrationDeadline: Number(deadline),
+  votingType: Number(votingType),
+  openCandidateRegistration: open,
+  liveResultsEnabled: live,
+  resultsPublic: isPublic,
+  useCommitReveal: commitReveal
+});
+
+const getElectionStatus = (election, now) => {
+  if (now < election.config.startTime) return ElectionStatus.NotStarted;
+  if (now <= election.config.endTime) return ElectionStatus.Ongoing;
+  return ElectionStatus.Ended;
+};
+
+const onlyDuringStatus = (election, ctx, status) =>
+  check(getElectionStatus(election, ctx.timestamp) === status, 'Invalid election status');
+
+const onlyEligibleVoter = (election, ctx) =>
+  check(election.isEligibleVoter.has(key(ctx.sender)), 'Not eligible to vote');
+
+const onlyAfterElectionEnd = (election, ctx) =>
+  check(ctx.timestamp > election.config.endTime, 'Election still ongoing');
+
+const onlyOwner = (election, ctx) => checkOwner(electionInterface, election.owner, ctx.sender);
+
+const countVote = (election, voter, candidateId) => {
+  election.hasVoted.add(key(voter));
+  election.candidates[candidateId].voteCount++;
+  election.totalVotes++;
+};
+
+// Election functions by name: (state, ctx, ...decoded args) => return value(s)
+const ELECTION_METHODS = {
+  config: (e) => [
+    e.config.title,
+    e.config.description,
+    e.config.startTime,
+    e.config.endTime,
+    e.config.candidateRegistrationDeadline,
+    e.config.votingType,
+    e.config.openCandidateRegistration,
+    e.config.liveResultsEnabled,
+    e.config.resultsPublic,
+    e.config.useCommitReveal
+  ],
+  getElectionStatus: (e, ctx) => getElectionStatus(e, ctx.timestamp),
+  candidateCount: (e) => e.candidates.length,
+  // Public mapping: IDs past the end read as an empty struct
+  candidates: (e, ctx, id) => {
+    const candidate = e.candidates[Number(id)];
+    return candidate ? [candidate.name, candidate.description, candidate.voteCount, candidate.isActive] : ['', '', 0, false];
+  },
+  getCandidate: (e, ctx, id) => {
+    check(id < BigInt(e.candidates.length), 'Invalid candidate ID');
+    const candidate = e.candidates[Number(id)];
+    return [candidate.name, candidate.description, candidate.voteCount, candidate.isActive];
+  },
+  candidateNameExists: (e, ctx, name) => e.candidateNameExists.has(name),
+  isCandidateRegistered: (e, ctx, address) => e.isCandidateRegistered.has(key(address)),
+  hasVoted: (e, ctx, address) => e.hasVoted.has(key(address)),
+  isEligibleVoter: (e, ctx, address) => e.isEligibleVoter.has(key(address)),
+  hasRegisteredToVote: (e, ctx, address) => e.hasRegisteredToVote.has(key(address)),
+  voteCommits: (e, ctx, address) => {
+    const commit = e.voteCommits.get(key(address));
+    return commit ? [commit.commitHash, commit.hasCommitted, commit.hasRevealed] : [ethers.ZeroHash, false, false];
+  },
+  totalVotes: (e) => e.totalVotes,
+  totalEligibleVoters: (e) => e.totalEligibleVoters,
+  totalRegisteredVoters: (e) => e.totalRegisteredVoters,
+  revealDeadline: (e) => e.revealDeadline,
+  isRevealPhase: (e) => e.isRevealPhase,
+  voterEligibilityMode: (e) => e.voterEligibilityMode,
+  minimumTokenBalance: (e) => e.minimumTokenBalance,
+  requiredNFTContract: (e) => e.requiredNFTContract,
+  owner: (e) => e.owner,
+  isEmergencyStopped: (e) => e.isEmergencyStopped,
+  allowResultsAfterEmergency: (e) => e.allowResultsAfterEmergency,
+
+  registerCandidate: (e, ctx, name, description) => {
+    check(ctx.timestamp < e.config.candidateRegistrationDeadline, 'Candidate registration closed');
+    check(name.length > 0, 'Candidate name required');
+    check(!e.candidateNameExists.has(name), 'Candidate name already exists');
+    check(!e.isCandidateRegistered.has(key(ctx.sender)), 'Already registered as candidate');
+    if (!e.config.openCandidateRegistration) {
+      check(key(ctx.sender) === key(e.owner), 'Only owner can register candidates');
+    }
+
+    const candidateId = e.candidates.length;
+    e.candidates.push({ name, description, voteCount: 0, isActive: true });
+    e.candidateNameExists.add(name);
+    e.isCandidateRegistered.add(key(ctx.sender));
+    ctx.emit('CandidateRegistered', [candidateId, name, ctx.sender]);
+  },
+
+  addEligibleVoters: (e, ctx, voters) => {
+    onlyOwner(e, ctx);
+    check(e.voterEligibilityMode === Mode.Whitelist, 'Only for whitelist mode');
+    check(getElectionStatus(e, ctx.timestamp) === ElectionStatus.NotStarted, 'Cannot modify voters after election starts');
+    voters.forEach(voter => {
+      if (!e.isEligibleVoter.has(key(voter))) {
+        e.isEligibleVoter.add(key(voter));
+        e.totalEligibleVoters++;
+      }
+    });
+  },
+
+  removeEligibleVoters: (e, ctx, voters) => {
+    onlyOwner(e, ctx);
+    check(e.voterEligibilityMode === Mode.Whitelist, 'Only for whitelist mode');
+    check(getElectionStatus(e, ctx.timestamp) === ElectionStatus.NotStarted, 'Cannot modify voters after election starts');
+    voters.forEach(voter => {
+      if (e.isEligibleVoter.has(key(voter))) {
+        e.isEligibleVoter.delete(key(voter));
+        e.totalEligibleVoters--;
+      }
+    });
+  },
+
+  // Like the contract, token and NFT modes don't check balances on-chain yet: everyone qualifies
+  registerToVote: (e, ctx) => {
+    const voter = key(ctx.sender);
+    check(!e.hasRegisteredToVote.has(voter), 'Already registered');
+    check(getElectionStatus(e, ctx.timestamp) === ElectionStatus.NotStarted, 'Registration closed');
+
+    const eligible = e.voterEligibilityMode === Mode.Whitelist ? e.isEligibleVoter.has(voter) : true;
+    check(eligible, 'Not eligible to vote');
+
+    if (e.voterEligibilityMode !== Mode.Whitelist) {
+      e.isEligibleVoter.add(voter);
+      e.totalEligibleVoters++;
+    }
+    e.hasRegisteredToVote.add(voter);
+    e.totalRegisteredVoters++;
+    ctx.emit('VoterRegistered', [ctx.sender]);
+  },
+
+  commitVote: (e, ctx, commitHash) => {
+    onlyDuringStatus(e, ctx, ElectionStatus.Ongoing);
+    onlyEligibleVoter(e, ctx);
+    check(e.config.useCommitReveal, 'Commit-reveal not enabled');
+    check(!e.voteCommits.get(key(ctx.sender))?.hasCommitted, 'Already committed');
+    check(!e.hasVoted.has(key(ctx.sender)), 'Already voted');
+
+    e.voteCommits.set(key(ctx.sender), { commitHash, hasCommitted: true, hasRevealed: false });
+    ctx.emit('VoteCommitted', [ctx.sender]);
+  },
+
+  revealVote: (e, ctx, candidateId, nonce) => {
+    onlyAfterElectionEnd(e, ctx);
+    onlyEligibleVoter(e, ctx);
+    const commit = e.voteCommits.get(key(ctx.sender));
+    check(e.config.useCommitReveal, 'Commit-reveal not enabled');
+    check(ctx.timestamp <= e.revealDeadline, 'Reveal phase ended');
+    check(!!commit?.hasCommitted, 'No commit found');
+    check(!commit.hasRevealed, 'Already revealed');
+    check(candidateId < BigInt(e.candidates.length), 'Invalid candidate');
+    check(e.candidates[Number(candidateId)].isActive, 'Candidate not active');
+    check(computeCommitHash(candidateId, nonce, ctx.sender) === commit.commitHash, 'Invalid reveal');
+
+    commit.hasRevealed = true;
+    countVote(e, ctx.sender, Number(candidateId));
+    ctx.emit('VoteRevealed', [ctx.sender, candidateId]);
+  },
+
+  vote: (e, ctx, candidateId) => {
+    onlyDuringStatus(e, ctx, ElectionStatus.Ongoing);
+    onlyEligibleVoter(e, ctx);
+    check(!e.config.useCommitReveal, 'Use commit-reveal scheme');
+    check(!e.hasVoted.has(key(ctx.sender)), 'Already voted');
+    check(candidateId < BigInt(e.candidates.length), 'Invalid candidate');
+    check(e.candidates[Number(candidateId)].isActive, 'Candidate not active');
+
+    countVote(e, ctx.sender, Number(candidateId));
+    ctx.emit('VoteCast', [ctx.sender, candidateId]);
+  },
+
+  startRevealPhase: (e, ctx) => {
+    onlyOwner(e, ctx);
+    onlyAfterElectionEnd(e, ctx);
+    check(e.config.useCommitReveal, 'Commit-reveal not enabled');
+    check(!e.isRevealPhase, 'Reveal phase already started');
+
+    e.isRevealPhase = true;
+    ctx.emit('RevealPhaseStarted', [e.revealDeadline]);
+  },
+
+  getResults: (e, ctx) => {
+    const status = getElectionStatus(e, ctx.timestamp);
+    const canViewResults = e.config.resultsPublic ||
+      (e.config.liveResultsEnabled && status === ElectionStatus.Ongoing) ||
+      (status === ElectionStatus.Ended && !e.isEmergencyStopped) ||
+      (e.isEmergencyStopped && e.allowResultsAfterEmergency) ||
+      key(ctx.sender) === key(e.owner);
+    check(canViewResults, 'Results not available');
+
+    // Inactive candidates leave zeroed slots
+    return [
+      e.candidates.map((candidate, id) => (candidate.isActive ? id : 0)),
+      e.candidates.map(candidate => (candidate.isActive ? candidate.name : '')),
+      e.candidates.map(candidate => (candidate.isActive ? candidate.voteCount : 0)),
+      e.totalVotes,
+      e.totalEligibleVoters > 0 ? Math.floor((e.totalVotes * 100) / e.totalEligibleVoters) : 0
+    ];
+  },
+
+  getWinner: (e, ctx) => {
+    check(getElectionStatus(e, ctx.timestamp) === ElectionStatus.Ended, 'Election not ended');
+    check(e.config.votingType === 0, 'Not a winner-takes-all election');
+
+    let maxVotes = 0;
+    let winnerIndex = 0;
+    e.candidates.forEach((candidate, id) => {
+      if (candidate.isActive && candidate.voteCount > maxVotes) {
+        maxVotes = candidate.voteCount;
+        winnerIndex = id;
+      }
+    });
+    return [winnerIndex, e.candidates[winnerIndex]?.name ?? '', maxVotes];
+  },
+
+  // Includes inactive candidates; ties keep ID order, like the contract's bubble sort
+  getLeaderboard: (e, ctx) => {
+    check(getElectionStatus(e, ctx.timestamp) === ElectionStatus.Ended, 'Election not ended');
+    check(e.config.votingType === 1, 'Not a leaderboard election');
+    if (e.candidates.length === 0) throw ARITHMETIC_PANIC;
+
+    const sorted = e.candidates
+      .map((candidate, id) => ({ id, name: candidate.name, votes: candidate.voteCount }))
+      .sort((a, b) => b.votes - a.votes);
+    return [sorted.map(entry => entry.id), sorted.map(entry => entry.name), sorted.map(entry => entry.votes)];
+  },
+
+  updateElectionSettings: (e, ctx, title, description, startTime, endTime, deadline, votingType, mode,
+    minimumTokenBalance, requiredNFTContract, open, live, isPublic, commitReveal) => {
+    onlyOwner(e, ctx);
+    onlyDuringStatus(e, ctx, ElectionStatus.NotStarted);
+    check(startTime > BigInt(ctx.timestamp), 'Start time must be in future');
+    check(endTime > startTime, 'End time must be after start time');
+    check(deadline <= startTime, 'Candidate deadline must be before start');
+
+    e.config = toConfig([title, description, startTime, endTime, deadline, votingType, open, live, isPublic, commitReveal]);
+    e.voterEligibilityMode = Number(mode);
+    e.minimumTokenBalance = minimumTokenBalance;
+    e.requiredNFTContract = requiredNFTContract;
+    if (commitReveal) {
+      e.revealDeadline = e.config.endTime + DAY;
+    }
+  },
+
+  emergencyStop: (e, ctx) => {
+    onlyOwner(e, ctx);
+    check(!e.isEmergencyStopped, 'Already emergency stopped');
+
+    e.config.endTime = ctx.timestamp;
+    e.isEmergencyStopped = true;
+    e.allowResultsAfterEmergency = false;
+    ctx.emit('ElectionEnded', [ctx.timestamp]);
+    ctx.emit('EmergencyStop', [ctx.sender, ctx.timestamp]);
+  },
+
+  enableResultsAfterEmergency: (e, ctx) => {
+    onlyOwner(e, ctx);
+    check(e.isEmergencyStopped, 'Not emergency stopped');
+    e.allowResultsAfterEmergency = true;
+    ctx.emit('ResultsEnabledAfterEmergency', [ctx.sender]);
+  },
+
+  disableResultsAfterEmergency: (e, ctx) => {
+    onlyOwner(e, ctx);
+    check(e.isEmergencyStopped, 'Not emergency stopped');
+    e.allowResultsAfterEmergency = false;
+    ctx.emit('ResultsDisabledAfterEmergency', [ctx.sender]);
+  }
+};
+
+// --- ElectionFactory --------------------------------------------------------------------
+
+const FACTORY_METHODS = {
+  electionImplementation: (f) => f.electionImplementation,
+  electionCount: (f) => f.elections.length,
+  elections: (f, ctx, id) => f.elections[Number(id)] ?? ethers.ZeroAddress,
+  getAllElections: (f) => [...f.elections],
+  getCreatorElections: (f, ctx, creator) => f.creatorElections.get(key(creator)) || [],
+  getElectionAddress: (f, ctx, id) => {
+    check(id < BigInt(f.elections.length), 'Invalid election ID');
+    return f.elections[Number(id)];
+  },
+  owner: (f) => f.owner,
+
+  createElection: (f, ctx, configTuple, mode, minimumTokenBalance, requiredNFTContract) => {
+    const config = toConfig(configTuple);
+    check(config.title.length > 0, 'Title required');
+    check(config.startTime > ctx.timestamp, 'Start time must be in future');
+    check(config.endTime > config.startTime, 'End time must be after start time');
+    check(config.candidateRegistrationDeadline <= config.startTime, 'Candidate deadline must be before start');
+
+    // new ERC1967Proxy(...) takes the factory's next contract nonce
+    const address = ethers.getCreateAddress({ from: f.address, nonce: f.elections.length + 1 });
+    const election = createElectionState({
+      address,
+      owner: ctx.sender,
+      config,
+      mode: Number(mode),
+      minimumTokenBalance,
+      requiredNFTContract
+    });
+    ctx.deploy(address, { iface: electionInterface, methods: ELECTION_METHODS, state: election });
+    ctx.emitFrom(address, electionInterface, 'ElectionCreated', [ctx.sender, config.title]);
+
+    const electionId = f.elections.length;
+    f.elections.push(address);
+    f.creatorElections.set(key(ctx.sender), [...(f.creatorElections.get(key(ctx.sender)) || []), electionId]);
+    ctx.emit('ElectionCreated', [electionId, address, ctx.sender, config.title]);
+    return address;
+  },
+
+  updateElectionImplementation: (f, ctx, implementation) => {
+    checkOwner(factoryInterface, f.owner, ctx.sender);
+    f.electionImplementation = implementation;
+    ctx.emit('ElectionImplementationUpdated', [implementation]);
+  }
+};
+
+// --- Fixture tokens ---------------------------------------------------------------------
+
+const ERC20_METHODS = {
+  balanceOf: (token, ctx, owner) => token.balances.get(key(owner)) || 0n,
+  decimals: (token) => token.decimals,
+  symbol: (token) => token.symbol
+};
+
+const ERC721_METHODS = {
+  balanceOf: (nft, ctx, owner) => nft.balances.get(key(owner)) || 0n
+};
+
+// --- Chain ------------------------------------------------------------------------------
+
+export class SimulatedSigner {
+  constructor(chain, address) {
+    this.provider = chain;
+    this.address = address;
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  connect() {
+    return this;
+  }
+
+  async call(tx) {
+    return this.provider.call({ ...tx, from: this.address });
+  }
+
+  async sendTransaction(tx) {
+    return this.provider.execute({ ...tx, from: this.address });
+  }
+}
+
+export class SimulatedChain {
+  #clock;
+  #offset;
+  #blocks = [];
+  #receipts = new Map(); // tx hash -> receipt fields
+  #contracts = new Map(); // address -> { iface, methods, state }
+  #nonces = new Map();
+
+  /**
+   * clock() returns the current time in ms (Date.now by default); startTime (ms) sets where
+   * the chain's time begins, and the genesis block is stamped with it.
+   * accounts: fixture account names; token: { symbol, decimals, balances: { name: whole tokens } };
+   * nfts: { collection name: [holder names] }.
+   */
+  constructor({ clock = Date.now, startTime = clock(), accounts = [], token = null, nfts = {} } = {}) {
+    this.#clock = clock;
+    this.#offset = startTime - clock();
+
+    this.accounts = accounts.map(name => ({ name, address: nameToAddress(`account:${name}`) }));
+    const deployer = nameToAddress('deployer');
+    const deployed = (nonce) => ethers.getCreateAddress({ from: deployer, nonce });
+
+    // Same layout as a local deployment: implementation at nonce 0, factory at nonce 1
+    this.factoryAddress = deployed(1);
+    this.#contracts.set(key(this.factoryAddress), {
+      iface: factoryInterface,
+      methods: FACTORY_METHODS,
+      state: {
+        address: this.factoryAddress,
+        owner: deployer,
+        electionImplementation: deployed(0),
+        elections: [],
+        creatorElections: new Map()
+      }
+    });
+
+    this.tokenAddress = null;
+    if (token) {
+      this.tokenAddress = deployed(2);
+      const decimals = token.decimals ?? 18;
+      this.token = { symbol: token.symbol, decimals };
+      this.#contracts.set(key(this.tokenAddress), {
+        iface: erc20Interface,
+        methods: ERC20_METHODS,
+        state: {
+          symbol: token.symbol,
+          decimals,
+          balances: new Map(Object.entries(token.balances || {}).map(([name, amount]) =>
+            [key(this.account(name)), ethers.parseUnits(String(amount), decimals)]))
+        }
+      });
+    }
+
+    this.nftAddresses = {};
+    Object.entries(nfts).forEach(([name, holders], index) => {
+      const address = deployed(3 + index);
+      this.nftAddresses[name] = address;
+      const balances = new Map();
+      holders.forEach(holder => balances.set(key(this.account(holder)), (balances.get(key(this.account(holder))) || 0n) + 1n));
+      this.#contracts.set(key(address), { iface: erc721Interface, methods: ERC721_METHODS, state: { balances } });
+    });
+
+    this.#mine([], [], Math.floor(this.time() / 1000));
+  }
+
+  // Registry entry in the shape deployments.js returns
+  get deployment() {
+    return {
+      chainId: SIMULATED_CHAIN_ID,
+      name: 'Demo',
+      factoryAddress: this.factoryAddress,
+      startBlock: 0,
+      governanceTokenAddress: this.tokenAddress,
+      rpcUrl: null
+    };
+  }
+
+  // Address of a fixture account by name (addresses pass through)
+  account(nameOrAddress) {
+    if (ethers.isAddress(nameOrAddress)) return ethers.getAddress(nameOrAddress);
+    const account = this.accounts.find(entry => entry.name === nameOrAddress);
+    if (!account) throw new Error(`Unknown simulated account "${nameOrAddress}"`);
+    return account.address;
+  }
+
+  getSigner(nameOrAddress) {
+    return new SimulatedSigner(this, this.account(nameOrAddress));
+  }
+
+  // --- Time ---
+
+  // Current chain time in ms
+  time() {
+    return this.#clock() + this.#offset;
+  }
+
+  // Jump to `ms`; time can't move before the latest block
+  setTime(ms) {
+    if (Math.floor(ms / 1000) < this.#latest.timestamp) {
+      throw new Error('Simulated time cannot move before the latest block');
+    }
+    this.#offset = ms - this.#clock();
+  }
+
+  advanceTime(seconds) {
+    this.#offset += seconds * 1000;
+  }
+
+  // Follow the clock again after setTime()/advanceTime(), unless that would go back in time
+  resumeClock() {
+    if (Math.floor(this.#clock() / 1000) >= this.#latest.timestamp) this.#offset = 0;
+  }
+
+  get #latest() {
+    return this.#blocks[this.#blocks.length - 1];
+  }
+
+  // Timestamp of the latest block, in seconds
+  get latestBlockTime() {
+    return this.#latest.timestamp;
+  }
+
+  // Calls run at the current time, but never before the latest block
+  get #callTimestamp() {
+    return Math.max(Math.floor(this.time() / 1000), this.#latest.timestamp);
+  }
+
+  // --- Provider surface ---
+
+  get provider() {
+    return this;
+  }
+
+  async getNetwork() {
+    return new ethers.Network('simulated', SIMULATED_CHAIN_ID);
+  }
+
+  async getBlockNumber() {
+    return this.#latest.number;
+  }
+
+  async getBlock(blockTag = 'latest') {
+    const block = blockTag === 'latest' ? this.#latest : this.#blocks[Number(blockTag)];
+    if (!block) return null;
+    // The header only; logs are served through getLogs()
+    const { number, hash, parentHash, timestamp, transactions } = block;
+    return { number, hash, parentHash, timestamp, transactions: [...transactions] };
+  }
+
+  async getCode(address) {
+    return this.#contracts.has(key(address)) ? '0x60806040' : '0x';
+  }
+
+  async getTransactionCount(address) {
+    return this.#nonces.get(key(address)) || 0;
+  }
+
+  // eth_call for view functions; reverts throw a CALL_EXCEPTION carrying the revert data
+  async call(tx) {
+    const contract = this.#contracts.get(key(tx.to));
+    if (!contract) return '0x';
+    const fragment = contract.iface.getFunction(tx.data.slice(0, 10));
+    if (!fragment || !fragment.constant) {
+      throw new Error(`Simulated chain only supports eth_call for view functions (${fragment?.name ?? tx.data.slice(0, 10)})`);
+    }
+
+    const ctx = { sender: tx.from ? ethers.getAddress(tx.from) : ethers.ZeroAddress, timestamp: this.#callTimestamp };
+    try {
+      const result = contract.methods[fragment.name](contract.state, ctx, ...contract.iface.decodeFunctionData(fragment, tx.data));
+      return contract.iface.encodeFunctionResult(fragment, fragment.outputs.length === 1 ? [result] : result);
+    } catch (error) {
+      if (error instanceof Revert) {
+        throw Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION', data: error.data });
+      }
+      throw error;
+    }
+  }
+
+  async getLogs({ address, topics = [], fromBlock = 0, toBlock = 'latest' } = {}) {
+    const from = fromBlock === 'latest' ? this.#latest.number : Number(fromBlock);
+    const to = toBlock === 'latest' ? this.#latest.number : Number(toBlock);
+    const addresses = address === undefined ? null : new Set([address].flat().map(key));
+    const matchesTopic = (log, position) => {
+      const filter = topics[position];
+      if (filter === null || filter === undefined) return true;
+      return [filter].flat().map(topic => topic.toLowerCase()).includes(log.topics[position]?.toLowerCase());
+    };
+
+    return this.#blocks
+      .slice(from, to + 1)
+      .flatMap(block => block.logs)
+      .filter(log => (!addresses || addresses.has(key(log.address))) && topics.every((_, i) => matchesTopic(log, i)))
+      .map(log => new ethers.Log(log, this));
+  }
+
+  async getTransactionReceipt(hash) {
+    const receipt = this.#receipts.get(hash);
+    return receipt ? new ethers.TransactionReceipt(receipt, this) : null;
+  }
+
+  // Run a transaction from SimulatedSigner and mine it. Reverts throw before anything is mined.
+  async execute(tx) {
+    const contract = this.#contracts.get(key(tx.to));
+    if (!contract) throw new Error(`No contract at ${tx.to} on the simulated chain`);
+    const fragment = contract.iface.getFunction(tx.data.slice(0, 10));
+    const from = ethers.getAddress(tx.from);
+    const nonce = this.#nonces.get(key(from)) || 0;
+    const timestamp = Math.max(Math.floor(this.time() / 1000), this.#latest.timestamp + 1);
+
+    // State changes are applied only after every require() has passed, so a revert leaves nothing behind
+    const logs = [];
+    const deployments = [];
+    const ctx = {
+      sender: from,
+      timestamp,
+      emit: (name, args) => logs.push({ address: ethers.getAddress(tx.to), ...contract.iface.encodeEventLog(name, args) }),
+      emitFrom: (address, iface, name, args) => logs.push({ address, ...iface.encodeEventLog(name, args) }),
+      deploy: (address, deployed) => deployments.push([address, deployed])
+    };
+    try {
+      contract.methods[fragment.name](contract.state, ctx, ...contract.iface.decodeFunctionData(fragment, tx.data));
+    } catch (error) {
+      if (error instanceof Revert) throw contract.iface.makeError(error.data, { to: tx.to, from, data: tx.data });
+      throw error;
+    }
+    deployments.forEach(([address, deployed]) => this.#contracts.set(key(address), deployed));
+    this.#nonces.set(key(from), nonce + 1);
+
+    const hash = ethers.keccak256(ethers.toUtf8Bytes(`${from}:${nonce}:${tx.to}:${tx.data}`));
+    const block = this.#mine([hash], logs.map(log => ({ ...log, transactionHash: hash })), timestamp);
+
+    this.#receipts.set(hash, {
+      to: ethers.getAddress(tx.to),
+      from,
+      contractAddress: null,
+      hash,
+      index: 0,
+      blockHash: block.hash,
+      blockNumber: block.number,
+      logsBloom: '0x',
+      gasUsed: 0n,
+      cumulativeGasUsed: 0n,
+      gasPrice: 0n,
+      type: 2,
+      status: 1,
+      root: null,
+      logs: block.logs
+    });
+    return new ethers.TransactionResponse({
+      blockNumber: block.number,
+      blockHash: block.hash,
+      hash,
+      index: 0,
+      type: 2,
+      to: ethers.getAddress(tx.to),
+      from,
+      nonce,
+      gasLimit: 0n,
+      gasPrice: 0n,
+      data: tx.data,
+      value: 0n,
+      chainId: BigInt(SIMULATED_CHAIN_ID),
+      signature: null
+    }, this);
+  }
+
+  #mine(transactions, logs, timestamp) {
+    const number = this.#blocks.length;
+    const parentHash = this.#latest?.hash ?? ethers.ZeroHash;
+    const hash = ethers.keccak256(ethers.toUtf8Bytes(`${parentHash}:${number}:${timestamp}:${transactions.join(',')}`));
+    const block = {
+      number,
+      hash,
+      parentHash,
+      timestamp,
+      transactions,
+      logs: logs.map((log, index) => ({
+        ...log,
+        blockNumber: number,
+        blockHash: hash,
+        index,
+        transactionIndex: 0,
+        removed: false
+      }))
+    };
+    this.#blocks.push(block);
+    return block;
+  }
+}
+
+// --- Fixtures ---------------------------------------------------------------------------
+
+// Settings fields given in seconds relative to the fixture's start
+const RELATIVE_TIME_FIELDS = ['startTime', 'endTime', 'candidateRegistrationDeadline'];
+
+// Fixture values to contract arguments: account and NFT collection names become addresses,
+// relative times become unix seconds, and minimumTokenBalance is read in whole tokens
+const resolveFixtureValue = (chain, value, anchorSeconds, field = null) => {
+  if (Array.isArray(value)) return value.map(item => resolveFixtureValue(chain, item, anchorSeconds));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, resolveFixtureValue(chain, item, anchorSeconds, name)]));
+  }
+  if (RELATIVE_TIME_FIELDS.includes(field)) return anchorSeconds + value;
+  if (field === 'minimumTokenBalance') return ethers.parseUnits(String(value), chain.token?.decimals ?? 18);
+  if (typeof value === 'string') {
+    if (chain.nftAddresses[value]) return chain.nftAddresses[value];
+    if (chain.accounts.some(account => account.name === value)) return chain.account(value);
+  }
+  return value;
+};
+
+/**
+ * Build a chain from a fixture and replay its steps. A fixture is
+ *   {
+ *     time:     fixed clock in ms (optional; follows the real clock when omitted),
+ *     accounts: ['Alice', ...] - the first one is the default demo account,
+ *     token:    { symbol, decimals, balances: { Alice: '250' } } (optional governance token),
+ *     nfts:     { 'Member Badge': ['Alice'] } (optional),
+ *     steps:    [{ at, as, id, election, call, args }]
+ *   }
+ * Each step calls an ElectionFactoryClient method (or an ElectionClient method when it names
+ * an `election`) as account `as`, at `at` seconds relative to the fixture's start (steps run in
+ * `at` order). A createElection step's `id` labels the election for later steps; `election`
+ * takes that label or a factory election ID. Settings times are relative seconds too.
+ * commitVote also takes [candidateId, nonce] and computes the hash for the voter.
+ * Steps go through the contract rules, so a step that would revert fails the whole fixture.
+ */
+export const createSimulatedChain = async (fixture, { clock = Date.now } = {}) => {
+  const chainClock = fixture.time === undefined ? clock : () => fixture.time;
+  const anchor = chainClock();
+  const anchorSeconds = Math.floor(anchor / 1000);
+  const steps = (fixture.steps || []).map((step, index) => ({ ...step, index }));
+  const earliest = Math.min(0, ...steps.map(step => step.at ?? 0));
+
+  const chain = new SimulatedChain({
+    clock: chainClock,
+    startTime: anchor + (earliest - 60) * 1000,
+    accounts: fixture.accounts || [],
+    token: fixture.token,
+    nfts: fixture.nfts
+  });
+
+  const labels = new Map(); // fixture election id -> address
+  const ordered = [...steps].sort((a, b) => (a.at ?? 0) - (b.at ?? 0));
+  for (const step of ordered) {
+    try {
+      // Steps sharing an `at` are mined one second apart
+      if (step.at !== undefined) chain.setTime(Math.max(anchor + step.at * 1000, chain.latestBlockTime * 1000));
+      const signer = chain.getSigner(step.as ?? chain.accounts[0].name);
+      const factory = new ElectionFactoryClient({ address: chain.factoryAddress, runner: signer });
+      const target = step.election === undefined
+        ? factory
+        : factory.election(labels.get(step.election) ?? await factory.getElectionAddress(step.election));
+
+      let args = resolveFixtureValue(chain, step.args || [], anchorSeconds);
+      if (step.call === 'commitVote' && args.length === 2) {
+        args = [computeCommitHash(args[0], BigInt(args[1]), signer.address)];
+      }
+
+      const receipt = await (await target[step.call](...args)).wait();
+      if (step.call === 'createElection' && step.id !== undefined) {
+        labels.set(step.id, factory.parseElectionCreated(receipt).electionAddress);
+      }
+    } catch (error) {
+      throw new Error(`Fixture step ${step.index} (${step.call}) failed: ${error.message}`);
+    }
+  }
+
+  chain.resumeClock();
+  return chain;
+};
+
+const HOUR = 60 * 60;
+
+// Sample data for demo mode, relative to when the demo starts: one election in each state
+export const DEMO_FIXTURE = {
+  accounts: ['Alice', 'Bob', 'Carol', 'Dave', 'Erin'],
+  token: { symbol: 'GOV', decimals: 18, balances: { Alice: '250', Bob: '40', Carol: '1200' } },
+  nfts: { 'Member Badge': ['Alice', 'Carol', 'Erin'] },
+  steps: [
+    // Ongoing, open registration, live results. Alice is registered and has not voted yet.
+    {
+      at: -4 * DAY, as: 'Bob', id: 'council', call: 'createElection',
+      args: [{
+        title: 'Community Council Chair',
+        description: 'Choose who chairs the community council for the next term.',
+        startTime: -1 * DAY, endTime: 2 * DAY, candidateRegistrationDeadline: -2 * DAY,
+        votingType: 0, eligibilityMode: 1,
+        openCandidateRegistration: true, liveResultsEnabled: true
+      }]
+    },
+    { at: -3 * DAY, as: 'Carol', election: 'council', call: 'registerCandidate', args: ['Carol Nguyen', 'Two terms on the grants committee.'] },
+    { at: -3 * DAY, as: 'Dave', election: 'council', call: 'registerCandidate', args: ['Dave Okafor', 'Focused on contributor onboarding.'] },
+    { at: -3 * DAY, as: 'Erin', election: 'council', call: 'registerCandidate', args: ['Erin Walsh', 'Runs the community calls.'] },
+    ...['Alice', 'Bob', 'Carol', 'Dave', 'Erin'].map(voter => ({ at: -30 * HOUR, as: voter, election: 'council', call: 'registerToVote' })),
+    { at: -20 * HOUR, as: 'Bob', election: 'council', call: 'vote', args: [0] },
+    { at: -18 * HOUR, as: 'Carol', election: 'council', call: 'vote', args: [0] },
+    { at: -12 * HOUR, as: 'Dave', election: 'council', call: 'vote', args: [1] },
+    { at: -6 * HOUR, as: 'Erin', election: 'council', call: 'vote', args: [2] },
+
+    // Ended leaderboard with public results
+    {
+      at: -10 * DAY, as: 'Carol', id: 'committee', call: 'createElection',
+      args: [{
+        title: 'Treasury Committee Seats',
+        description: 'Top candidates take the three committee seats.',
+        startTime: -8 * DAY, endTime: -2 * DAY, candidateRegistrationDeadline: -9 * DAY,
+        votingType: 1, eligibilityMode: 1,
+        openCandidateRegistration: true, resultsPublic: true
+      }]
+    },
+    { at: -10 * DAY + HOUR, as: 'Bob', election: 'committee', call: 'registerCandidate', args: ['Bob Martin', 'Former finance lead.'] },
+    { at: -10 * DAY + HOUR, as: 'Dave', election: 'committee', call: 'registerCandidate', args: ['Dave Okafor', 'Wants quarterly treasury reports.'] },
+    { at: -10 * DAY + HOUR, as: 'Erin', election: 'committee', call: 'registerCandidate', args: ['Erin Walsh', 'Proposes a diversified treasury.'] },
+    ...['Alice', 'Bob', 'Carol', 'Dave', 'Erin'].map(voter => ({ at: -8.5 * DAY, as: voter, election: 'committee', call: 'registerToVote' })),
+    { at: -7 * DAY, as: 'Alice', election: 'committee', call: 'vote', args: [1] },
+    { at: -7 * DAY, as: 'Bob', election: 'committee', call: 'vote', args: [0] },
+    { at: -7 * DAY, as: 'Carol', election: 'committee', call: 'vote', args: [1] },
+    { at: -6 * DAY, as: 'Dave', election: 'committee', call: 'vote', args: [1] },
+    { at: -6 * DAY, as: 'Erin', election: 'committee', call: 'vote', args: [2] },
+
+    // Whitelisted commit-reveal election, ended and in its reveal period
+    {
+      at: -5 * DAY, as: 'Carol', id: 'delegate', call: 'createElection',
+      args: [{
+        title: 'Protocol Upgrade Delegate',
+        description: 'Sealed ballot for the delegate who signs off the v2 upgrade.',
+        startTime: -3 * DAY, endTime: -12 * HOUR, candidateRegistrationDeadline: -4 * DAY,
+        votingType: 0, eligibilityMode: 0,
+        openCandidateRegistration: true, useCommitReveal: true
+      }]
+    },
+    { at: -5 * DAY + HOUR, as: 'Carol', election: 'delegate', call: 'addEligibleVoters', args: [['Alice', 'Bob', 'Dave', 'Erin']] },
+    { at: -5 * DAY + HOUR, as: 'Bob', election: 'delegate', call: 'registerCandidate', args: ['Bob Martin', 'Reviewed the v2 audit.'] },
+    { at: -5 * DAY + HOUR, as: 'Erin', election: 'delegate', call: 'registerCandidate', args: ['Erin Walsh', 'Core maintainer.'] },
+    { at: -2 * DAY, as: 'Bob', election: 'delegate', call: 'commitVote', args: [0, 1111] },
+    { at: -2 * DAY, as: 'Dave', election: 'delegate', call: 'commitVote', args: [1, 2222] },
+    { at: -2 * DAY, as: 'Erin', election: 'delegate', call: 'commitVote', args: [1, 3333] },
+    { at: -11 * HOUR, as: 'Carol', election: 'delegate', call: 'startRevealPhase' },
+    { at: -10 * HOUR, as: 'Bob', election: 'delegate', call: 'revealVote', args: [0, 1111] },
+    { at: -9 * HOUR, as: 'Dave', election: 'delegate', call: 'revealVote', args: [1, 2222] },
+
+    // Alice's own whitelist election, not started yet, so she can manage it
+    {
+      at: -1 * DAY, as: 'Alice', id: 'budget', call: 'createElection',
+      args: [{
+        title: 'Working Group Budget',
+        description: 'Pick the working group that receives next quarter\'s budget.',
+        startTime: 2 * DAY, endTime: 9 * DAY, candidateRegistrationDeadline: 1 * DAY,
+        votingType: 0, eligibilityMode: 0,
+        openCandidateRegistration: true
+      }]
+    },
+    { at: -1 * DAY + HOUR, as: 'Alice', election: 'budget', call: 'addEligibleVoters', args: [['Alice', 'Bob', 'Carol']] },
+    { at: -20 * HOUR, as: 'Bob', election: 'budget', call: 'registerCandidate', args: ['Tooling WG', 'Developer tooling and CI.'] },
+
+    // Token-gated election open for registration
+    {
+      at: -2 * DAY, as: 'Dave', id: 'referendum', call: 'createElection',
+      args: [{
+        title: 'Token Holder Referendum',
+        description: 'Requires at least 100 GOV to register.',
+        startTime: 1 * DAY, endTime: 4 * DAY, candidateRegistrationDeadline: 12 * HOUR,
+        votingType: 1, eligibilityMode: 2, minimumTokenBalance: '100',
+        openCandidateRegistration: true, resultsPublic: true
+      }]
+    },
+    { at: -2 * DAY + HOUR, as: 'Bob', election: 'referendum', call: 'registerCandidate', args: ['Keep fees', 'Leave protocol fees unchanged.'] },
+    { at: -2 * DAY + HOUR, as: 'Carol', election: 'referendum', call: 'registerCandidate', args: ['Lower fees', 'Cut protocol fees by half.'] },
+
+    // NFT-gated poll
+    {
+      at: -3 * HOUR, as: 'Erin', id: 'badge', call: 'createElection',
+      args: [{
+        title: 'Badge Holder Poll',
+        description: 'Members holding a Member Badge pick the next meetup city.',
+        startTime: 3 * DAY, endTime: 5 * DAY, candidateRegistrationDeadline: 2 * DAY,
+        votingType: 1, eligibilityMode: 3, requiredNFTContract: 'Member Badge',
+        openCandidateRegistration: true
+      }]
+    },
+
+    // Stopped mid-vote by its owner; results stay hidden
+    {
+      at: -3 * DAY, as: 'Bob', id: 'stopped', call: 'createElection',
+      args: [{
+        title: 'Logo Contest',
+        description: 'Stopped after a ballot issue was reported.',
+        startTime: -1 * DAY, endTime: 3 * DAY, candidateRegistrationDeadline: -2 * DAY,
+        votingType: 0, eligibilityMode: 1,
+        openCandidateRegistration: true
+      }]
+    },
+    { at: -3 * DAY + HOUR, as: 'Carol', election: 'stopped', call: 'registerCandidate', args: ['Blue Ballot', 'Minimal ballot box mark.'] },
+    { at: -3 * DAY + HOUR, as: 'Dave', election: 'stopped', call: 'registerCandidate', args: ['Green Check', 'Checkmark wordmark.'] },
+    ...['Alice', 'Carol', 'Dave'].map(voter => ({ at: -30 * HOUR, as: voter, election: 'stopped', call: 'registerToVote' })),
+    { at: -10 * HOUR, as: 'Carol', election: 'stopped', call: 'vote', args: [0] },
+    { at: -8 * HOUR, as: 'Dave', election: 'stopped', call: 'vote', args: [1] },
+    { at: -2 * HOUR, as: 'Bob', election: 'stopped', call: 'emergencyStop' }
+  ]
+};
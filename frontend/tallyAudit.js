@@ -0,0 +1,123 @@
+import { ElectionClient } from './electionClient.js';
+
+// Independent recount of an election from its event logs. The tally is rebuilt from
+// VoteCast (direct voting) or VoteRevealed (commit-reveal) logs and compared with the
+// contract's stored candidates(i).voteCount and totalVotes, all read at the same block.
+
+const evidenceFor = (vote) => ({
+  voter: vote.voter,
+  candidateId: vote.candidateId,
+  blockNumber: vote.blockNumber,
+  transactionHash: vote.transactionHash,
+  logIndex: vote.logIndex
+});
+
+/**
+ * Rebuild the tally for `election` from logs between fromBlock and the latest block.
+ * Resolves to a report whose `findings` list every discrepancy with its evidence;
+ * `passed` is true when there are none.
+ */
+export const runTallyAudit = async ({ provider, election, fromBlock = 0 }) => {
+  const [block, network] = await Promise.all([provider.getBlock('latest'), provider.getNetwork()]);
+  const blockTag = block.number;
+  const client = new ElectionClient({ address: election.address, runner: provider });
+
+  const [count, candidateReads, { totalVotes: storedTotal }] = await Promise.all([
+    client.getCandidateCount({ blockTag }),
+    client.getCandidates({ blockTag }),
+    client.getTotals({ blockTag })
+  ]);
+  // getCandidates() leaves out IDs whose read failed
+  const candidatesById = new Map(candidateReads.map(candidate => [candidate.id, candidate]));
+
+  const eventName = election.useCommitReveal ? 'VoteRevealed' : 'VoteCast';
+  const votes = await client.getVoteLogs({ revealed: election.useCommitReveal, fromBlock, toBlock: blockTag });
+
+  const findings = [];
+  const rebuilt = new Map();
+  const votesByVoter = new Map();
+
+  votes.forEach(vote => {
+    rebuilt.set(vote.candidateId, (rebuilt.get(vote.candidateId) || 0) + 1);
+    const key = vote.voter.toLowerCase();
+    votesByVoter.set(key, [...(votesByVoter.get(key) || []), vote]);
+  });
+
+  votesByVoter.forEach(voterVotes => {
+    if (voterVotes.length > 1) {
+      findings.push({
+        type: 'duplicate-voter',
+        message: `${voterVotes[0].voter} has ${voterVotes.length} ${eventName} events`,
+        evidence: voterVotes.map(evidenceFor)
+      });
+    }
+  });
+
+  const candidates = Array.from({ length: count }, (_, candidateId) => {
+    const rebuiltVotes = rebuilt.get(candidateId) || 0;
+    const candidate = candidatesById.get(candidateId);
+    if (!candidate) {
+      findings.push({
+        type: 'unreadable-candidate',
+        message: `candidates(${candidateId}) could not be read`,
+        evidence: []
+      });
+      return { candidateId, name: '', isActive: null, storedVotes: null, rebuiltVotes, matches: false };
+    }
+
+    const { name, voteCount: storedVotes, isActive } = candidate;
+    const candidateVotes = votes.filter(vote => vote.candidateId === candidateId);
+
+    if (!isActive && candidateVotes.length > 0) {
+      findings.push({
+        type: 'inactive-candidate-votes',
+        message: `${candidateVotes.length} vote(s) for inactive candidate #${candidateId} (${name})`,
+        evidence: candidateVotes.map(evidenceFor)
+      });
+    }
+    if (storedVotes !== rebuiltVotes) {
+      findings.push({
+        type: 'tally-mismatch',
+        message: `Candidate #${candidateId} (${name}): contract reports ${storedVotes}, logs show ${rebuiltVotes}`,
+        evidence: candidateVotes.map(evidenceFor)
+      });
+    }
+    return { candidateId, name, isActive, storedVotes, rebuiltVotes, matches: storedVotes === rebuiltVotes };
+  });
+
+  const unknownVotes = votes.filter(vote => vote.candidateId >= candidates.length);
+  if (unknownVotes.length > 0) {
+    findings.push({
+      type: 'unknown-candidate-votes',
+      message: `${unknownVotes.length} vote(s) for candidate IDs that do not exist`,
+      evidence: unknownVotes.map(evidenceFor)
+    });
+  }
+
+  if (storedTotal !== votes.length) {
+    findings.push({
+      type: 'total-mismatch',
+      message: `totalVotes() reports ${storedTotal}, logs show ${votes.length} ${eventName} events`,
+      evidence: []
+    });
+  }
+
+  return {
+    election: { address: election.address, title: election.title },
+    chainId: network.chainId.toString(),
+    blockNumber: block.number,
+    blockHash: block.hash,
+    fromBlock,
+    generatedAt: new Date().toISOString(),
+    eventName,
+    eventCount: votes.length,
+    uniqueVoters: votesByVoter.size,
+    storedTotalVotes: storedTotal,
+    candidates,
+    findings,
+    passed: findings.length === 0
+  };
+};
+
+export const auditFileName = (report) =>
+  `audit-${report.election.address.slice(0, 10)}-block-${report.blockNumber}.json`;
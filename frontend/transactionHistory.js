@@ -0,0 +1,77 @@
+// Transaction history for the notification drawer, kept in localStorage per chain and account.
+// An entry is written as soon as a transaction has a hash and updated once it settles.
+// Entries still pending when the page closed are re-checked against the chain on the next load.
+//
+// Entry: { hash, nonce, label, election: { address, title } | null,
+//          status: 'pending' | 'confirmed' | 'reverted' | 'dropped',
+//          blockNumber, error, submittedAt, settledAt }
+
+const HISTORY_STORAGE_PREFIX = 'blockvote:tx-history';
+
+// Older entries are dropped once the history grows past this
+export const MAX_HISTORY_ENTRIES = 100;
+
+const historyStorageKey = (chainId, account) =>
+  `${HISTORY_STORAGE_PREFIX}:${chainId}:${account.toLowerCase()}`;
+
+// Newest first
+export const loadTransactionHistory = (chainId, account) => {
+  const stored = localStorage.getItem(historyStorageKey(chainId, account));
+  if (!stored) return [];
+  try {
+    const entries = JSON.parse(stored);
+    return Array.isArray(entries) ? entries : [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveTransactionHistory = (chainId, account, entries) => {
+  localStorage.setItem(historyStorageKey(chainId, account), JSON.stringify(entries.slice(0, MAX_HISTORY_ENTRIES)));
+};
+
+export const clearTransactionHistory = (chainId, account) => {
+  localStorage.removeItem(historyStorageKey(chainId, account));
+};
+
+// Add an entry, or merge `entry` into the one with the same hash
+export const upsertTransaction = (entries, entry) => {
+  if (entries.some(existing => existing.hash === entry.hash)) {
+    return entries.map(existing => existing.hash === entry.hash ? { ...existing, ...entry } : existing);
+  }
+  return [entry, ...entries].slice(0, MAX_HISTORY_ENTRIES);
+};
+
+/**
+ * Look up the pending entries of `account` on the chain. Resolves to updates for the ones that
+ * settled: mined ones get their receipt status, and ones without a receipt whose nonce has since
+ * been used by another transaction are marked 'dropped' (replaced or cancelled in the wallet).
+ * Anything else is still waiting to be mined and is left out.
+ */
+export const recheckPendingTransactions = async (provider, account, entries) => {
+  const pending = entries.filter(entry => entry.status === 'pending');
+  if (pending.length === 0) return [];
+
+  const [receipts, minedNonce] = await Promise.all([
+    Promise.all(pending.map(entry => provider.getTransactionReceipt(entry.hash).catch(() => null))),
+    provider.getTransactionCount(account, 'latest').catch(() => null)
+  ]);
+
+  const settledAt = Date.now();
+  return pending.flatMap((entry, index) => {
+    const receipt = receipts[index];
+    if (receipt) {
+      return [{
+        hash: entry.hash,
+        status: receipt.status === 1 ? 'confirmed' : 'reverted',
+        blockNumber: receipt.blockNumber,
+        error: receipt.status === 1 ? null : 'The transaction reverted.',
+        settledAt
+      }];
+    }
+    if (minedNonce !== null && typeof entry.nonce === 'number' && minedNonce > entry.nonce) {
+      return [{ hash: entry.hash, status: 'dropped', error: 'Replaced or cancelled in the wallet.', settledAt }];
+    }
+    return [];
+  });
+};
@@ -0,0 +1,355 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { readVoterStatuses, ELECTION_PAGE_SIZE } from './electionClient';
+
+// React bindings for electionClient.js. The hooks own loading and error state and drop results
+// that arrive after the client (or account) they were requested for has been replaced.
+// They don't log; failed reads show up in the returned `error`.
+
+// Newest first, one entry per address
+const mergeElections = (current, loaded) => {
+  const byAddress = new Map(current.map(election => [election.address, election]));
+  loaded.forEach(election => byAddress.set(election.address, election));
+  return [...byAddress.values()].sort((a, b) => b.id - a.id);
+};
+
+/**
+ * Elections of `factory` (an ElectionFactoryClient, or null while none is available), read a page
+ * at a time, newest first (ElectionFactoryClient.listElectionsPage). Reloads whenever the factory changes.
+ *
+ *   loadCached(factory) - optional; resolves to summaries to show while the first read runs
+ *   onLoaded(elections) - optional; called after each successful load with the elections read
+ *   pageSize            - elections per page
+ *
+ * reload() re-reads the newest elections, as many as are loaded (at least a page), and resolves
+ * to them ([] on failure). loadMore() reads the next, older page; hasMore is false once the oldest
+ * election is loaded. include(ids) reads specific factory IDs that no page has reached yet, e.g.
+ * the account's own elections. total is the factory's election count, or null until read.
+ * error is the last failed read (null again after a successful reload), and skipped lists the
+ * elections ({ id, address }) whose state could not be read since the factory was set.
+ */
+export const useElections = (factory, { loadCached, onLoaded, pageSize = ELECTION_PAGE_SIZE } = {}) => {
+  const [elections, setElections] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+  const [skipped, setSkipped] = useState([]);
+  const [total, setTotal] = useState(null);
+  // Cursor for the next, older page (see listElectionsPage); null until the first page is read
+  const [before, setBefore] = useState(null);
+
+  const factoryRef = useRef(factory);
+  factoryRef.current = factory;
+  const electionsRef = useRef(elections);
+  electionsRef.current = elections;
+  const beforeRef = useRef(before);
+  beforeRef.current = before;
+  const totalRef = useRef(total);
+  totalRef.current = total;
+  const loadingMoreRef = useRef(false);
+  // IDs read through include(), kept when the first page replaces the cached snapshot
+  const includedRef = useRef(new Set());
+  const optionsRef = useRef({ loadCached, onLoaded });
+  optionsRef.current = { loadCached, onLoaded };
+
+  // onSkipped for the reads of `current`, dropped once the factory has been replaced
+  const skipFor = useCallback((current) => (entry) => {
+    if (factoryRef.current !== current) return;
+    setSkipped(prev => prev.some(election => election.address === entry.address) ? prev : [...prev, entry]);
+  }, []);
+
+  const reload = useCallback(async () => {
+    if (!factory) return [];
+    const isCurrent = () => factoryRef.current === factory;
+
+    // Show the cached snapshot first; only block the UI when there is nothing to show
+    const { loadCached } = optionsRef.current;
+    const cached = loadCached && electionsRef.current.length === 0
+      ? await loadCached(factory).catch(() => [])
+      : [];
+    if (cached.length > 0) {
+      if (isCurrent()) setElections(prev => prev.length > 0 ? prev : mergeElections([], cached).slice(0, pageSize));
+    } else {
+      setLoading(true);
+    }
+
+    try {
+      // Re-read every page scrolled through so far; elections below them stay as loaded
+      const pagedCount = beforeRef.current === null ? 0 : totalRef.current - beforeRef.current;
+      const page = await factory.listElectionsPage({ limit: Math.max(pageSize, pagedCount), onSkipped: skipFor(factory) });
+      // A wallet may have connected (or switched chains) while this was loading
+      if (!isCurrent()) return page.elections;
+      // The first read replaces the cached snapshot
+      setElections(prev => mergeElections(
+        prev.filter(election => election.id < page.before &&
+          (beforeRef.current !== null || includedRef.current.has(election.id))),
+        page.elections
+      ));
+      setTotal(page.total);
+      setBefore(prev => prev === null ? page.before : Math.min(prev, page.before));
+      setError(null);
+      optionsRef.current.onLoaded?.(page.elections);
+      return page.elections;
+    } catch (loadError) {
+      if (isCurrent()) setError(loadError);
+      return [];
+    } finally {
+      if (isCurrent()) setLoading(false);
+    }
+  }, [factory, pageSize, skipFor]);
+
+  const loadMore = useCallback(async () => {
+    if (!factory || loadingMoreRef.current || !beforeRef.current) return [];
+    const isCurrent = () => factoryRef.current === factory;
+
+    loadingMoreRef.current = true;
+    setLoadingMore(true);
+    try {
+      const page = await factory.listElectionsPage({ before: beforeRef.current, limit: pageSize, onSkipped: skipFor(factory) });
+      if (!isCurrent()) return page.elections;
+      setElections(prev => mergeElections(prev, page.elections));
+      setTotal(page.total);
+      setBefore(page.before);
+      optionsRef.current.onLoaded?.(page.elections);
+      return page.elections;
+    } catch (loadError) {
+      if (isCurrent()) setError(loadError);
+      return [];
+    } finally {
+      loadingMoreRef.current = false;
+      if (isCurrent()) setLoadingMore(false);
+    }
+  }, [factory, pageSize, skipFor]);
+
+  const include = useCallback(async (ids) => {
+    if (!factory) return [];
+    const loadedIds = new Set(electionsRef.current.map(election => election.id));
+    const missing = ids.filter(id => !loadedIds.has(id));
+    if (missing.length === 0) return [];
+    try {
+      const loaded = await factory.readElectionsById(missing, { onSkipped: skipFor(factory) });
+      if (factoryRef.current !== factory) return loaded;
+      loaded.forEach(election => includedRef.current.add(election.id));
+      setElections(prev => mergeElections(prev, loaded));
+      optionsRef.current.onLoaded?.(loaded);
+      return loaded;
+    } catch (loadError) {
+      if (factoryRef.current === factory) setError(loadError);
+      return [];
+    }
+  }, [factory, skipFor]);
+
+  useEffect(() => {
+    setElections([]);
+    setSkipped([]);
+    setTotal(null);
+    setBefore(null);
+    beforeRef.current = null;
+    electionsRef.current = [];
+    includedRef.current = new Set();
+    if (!factory) {
+      setLoading(false);
+      return;
+    }
+    reload();
+  }, [factory, reload]);
+
+  return {
+    elections,
+    setElections,
+    loading,
+    loadingMore,
+    error,
+    skipped,
+    total,
+    hasMore: before === null || before > 0,
+    reload,
+    loadMore,
+    include
+  };
+};
+
+/**
+ * Candidates of one election (an ElectionClient, or null when none is open) and what the
+ * contract records about `account` there. Everything is re-read when the client or account changes.
+ *
+ *   candidates  - [{ id, name, description, voteCount, isActive }], or null until read;
+ *                 voteCount is null on placeholders from loadPlaceholderCandidates()
+ *   voter       - ElectionClient.getVoterStatus(account), or null without an account
+ *   eligibility - ElectionClient.checkEligibility(account), or { error } when the check failed
+ *   vote        - the account's vote from its own log (ElectionClient.findVote), looked up once
+ *                 hasVoted is set; null until found. findVote(client, account) can replace the
+ *                 default full scan, e.g. with an index lookup or a later starting block.
+ *   error       - why the candidates, voter status or vote could not be read; null once they
+ *                 read again (eligibility carries its own error)
+ */
+export const useElection = (client, { account = null, governanceTokenAddress = null, loadPlaceholderCandidates, findVote } = {}) => {
+  const [candidates, setCandidates] = useState(null);
+  const [voter, setVoter] = useState(null);
+  const [eligibility, setEligibility] = useState(null);
+  const [vote, setVote] = useState(null);
+  const [candidatesError, setCandidatesError] = useState(null);
+  const [voterError, setVoterError] = useState(null);
+
+  const keyRef = useRef(null);
+  const key = client ? `${client.address}:${account || ''}` : null;
+  keyRef.current = key;
+  const placeholderRef = useRef(loadPlaceholderCandidates);
+  placeholderRef.current = loadPlaceholderCandidates;
+  const findVoteRef = useRef(findVote);
+  findVoteRef.current = findVote;
+  const voteRef = useRef(vote);
+  voteRef.current = vote;
+
+  const reloadCandidates = useCallback(async () => {
+    if (!client) return;
+    try {
+      const loaded = await client.getCandidates();
+      if (keyRef.current !== key) return;
+      setCandidates(loaded);
+      setCandidatesError(null);
+    } catch (error) {
+      if (keyRef.current === key) setCandidatesError(error);
+    }
+  }, [client, key]);
+
+  const reloadVoter = useCallback(async () => {
+    if (!client || !account) return;
+    const [status, check] = await Promise.allSettled([
+      client.getVoterStatus(account),
+      client.checkEligibility(account, { governanceTokenAddress })
+    ]);
+    if (keyRef.current !== key) return;
+
+    if (status.status === 'fulfilled') {
+      setVoter(status.value);
+      setVoterError(null);
+      // A vote never changes once cast, so the log is only looked up once
+      if (status.value.hasVoted && !voteRef.current) {
+        const lookup = findVoteRef.current || ((current, voterAddress) => current.findVote(voterAddress));
+        lookup(client, account)
+          .then(found => {
+            if (keyRef.current === key) setVote(found);
+          })
+          .catch(error => {
+            if (keyRef.current === key) setVoterError(error);
+          });
+      }
+    } else {
+      setVoterError(status.reason);
+    }
+    setEligibility(check.status === 'fulfilled' ? check.value : { error: check.reason });
+  }, [client, account, key, governanceTokenAddress]);
+
+  useEffect(() => {
+    setCandidates(null);
+    setVoter(null);
+    setEligibility(null);
+    setVote(null);
+    setCandidatesError(null);
+    setVoterError(null);
+    voteRef.current = null;
+    if (!client) return;
+
+    // Show placeholder candidates (e.g. indexed names) straight away while the chain reads run
+    placeholderRef.current?.(client)
+      .then(placeholders => {
+        if (keyRef.current === key && placeholders?.length > 0) {
+          setCandidates(prev => prev || placeholders);
+        }
+      })
+      .catch(() => {});
+    reloadCandidates();
+    reloadVoter();
+  }, [client, key, reloadCandidates, reloadVoter]);
+
+  const reload = useCallback(
+    () => Promise.all([reloadCandidates(), reloadVoter()]),
+    [reloadCandidates, reloadVoter]
+  );
+
+  return {
+    candidates,
+    voter,
+    eligibility,
+    vote,
+    error: candidatesError || voterError,
+    reload,
+    reloadCandidates,
+    reloadVoter
+  };
+};
+
+/**
+ * What each of `electionAddresses` records about `account` (see readVoterStatuses), read over
+ * `runner` in one batch: { [electionAddress]: status }, empty without an account.
+ * Re-read when the account, runner or list changes; reload() after the account's own transactions.
+ * Statuses of addresses that drop out of the list are kept until the account or runner changes.
+ * error is the last failed read, null again once a read succeeds.
+ */
+export const useVoterStatuses = (runner, electionAddresses, account) => {
+  const [statuses, setStatuses] = useState({});
+  const [error, setError] = useState(null);
+
+  const addressList = electionAddresses.join(',');
+  const requestRef = useRef(null);
+
+  const reload = useCallback(async () => {
+    const request = runner && account && addressList ? { runner, account, addressList } : null;
+    requestRef.current = request;
+    if (!request) return;
+    try {
+      const loaded = await readVoterStatuses(runner, addressList.split(','), account);
+      if (requestRef.current !== request) return;
+      setStatuses(current => ({ ...current, ...loaded }));
+      setError(null);
+    } catch (loadError) {
+      if (requestRef.current === request) setError(loadError);
+    }
+  }, [runner, account, addressList]);
+
+  // Nothing from the previous account should show while the new one loads
+  useEffect(() => {
+    setStatuses({});
+    setError(null);
+  }, [runner, account]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return { statuses, error, reload };
+};
+
+/**
+ * Factory election IDs created by `account` (ElectionFactoryClient.getCreatorElections),
+ * or null until read. reload() after the account creates an election. error is the last failed
+ * read, null again once a read succeeds.
+ */
+export const useCreatorElections = (factory, account) => {
+  const [ids, setIds] = useState(null);
+  const [error, setError] = useState(null);
+
+  const requestRef = useRef(null);
+
+  const reload = useCallback(async () => {
+    const request = factory && account ? { factory, account } : null;
+    requestRef.current = request;
+    if (!request) return;
+    try {
+      const loaded = await factory.getCreatorElections(account);
+      if (requestRef.current !== request) return;
+      setIds(loaded);
+      setError(null);
+    } catch (loadError) {
+      if (requestRef.current === request) setError(loadError);
+    }
+  }, [factory, account]);
+
+  useEffect(() => {
+    setIds(null);
+    setError(null);
+    reload();
+  }, [reload]);
+
+  return { ids, error, reload };
+};
@@ -0,0 +1,75 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  loadTransactionHistory,
+  saveTransactionHistory,
+  clearTransactionHistory,
+  upsertTransaction,
+  recheckPendingTransactions
+} from './transactionHistory';
+
+/**
+ * Transaction history of `account` on `chainId` (see transactionHistory.js). Switching account
+ * or chain loads that history and re-checks its pending entries over `provider`.
+ *
+ *   transactions - entries, newest first
+ *   record(entry) - store a submitted transaction; returns update(changes) for that entry, which
+ *                   keeps writing to the same account's history even after a switch
+ *   clear()       - forget the current history
+ */
+export const useTransactionHistory = ({ provider, chainId, account }) => {
+  const [transactions, setTransactions] = useState([]);
+
+  const scope = chainId && account ? `${chainId}:${account.toLowerCase()}` : null;
+  const scopeRef = useRef(scope);
+  scopeRef.current = scope;
+
+  // Storage is the source of truth; state mirrors it for the current scope only
+  const change = useCallback((targetChainId, targetAccount, apply) => {
+    const next = apply(loadTransactionHistory(targetChainId, targetAccount));
+    saveTransactionHistory(targetChainId, targetAccount, next);
+    if (scopeRef.current === `${targetChainId}:${targetAccount.toLowerCase()}`) {
+      setTransactions(next);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!scope) {
+      setTransactions([]);
+      return;
+    }
+    const stored = loadTransactionHistory(chainId, account);
+    setTransactions(stored);
+    if (!provider) return;
+
+    recheckPendingTransactions(provider, account, stored)
+      .then(updates => {
+        if (updates.length === 0) return;
+        change(chainId, account, entries => updates.reduce(upsertTransaction, entries));
+      })
+      .catch(error => console.warn('Could not re-check pending transactions:', error));
+  }, [scope, provider]);
+
+  const record = useCallback((entry) => {
+    if (!chainId || !account) return () => {};
+    const { hash } = entry;
+    change(chainId, account, entries => upsertTransaction(entries, {
+      status: 'pending',
+      blockNumber: null,
+      error: null,
+      submittedAt: Date.now(),
+      settledAt: null,
+      ...entry
+    }));
+    // No-op once the entry is gone (history cleared while it was pending)
+    return (changes) => change(chainId, account, entries =>
+      entries.some(existing => existing.hash === hash) ? upsertTransaction(entries, { ...changes, hash }) : entries);
+  }, [chainId, account, change]);
+
+  const clear = useCallback(() => {
+    if (!chainId || !account) return;
+    clearTransactionHistory(chainId, account);
+    setTransactions([]);
+  }, [chainId, account]);
+
+  return { transactions, record, clear };
+};
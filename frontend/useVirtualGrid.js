@@ -0,0 +1,102 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+// Window-scrolled virtualization for a responsive grid of cards. Only the rows near the
+// viewport are rendered, each absolutely positioned inside a container that keeps the full
+// height, so the page scrollbar behaves as if every card were there. Rows start at an
+// estimated height and use their measured height once they have rendered.
+
+/**
+ * Layout for `itemCount` cards.
+ *
+ *   breakpoints        - [[minViewportWidth, columns], ...] widest first; mirror the grid's
+ *                        responsive column classes. Narrower viewports get one column.
+ *   estimatedRowHeight - px, for rows that haven't rendered yet
+ *   gap                - px between rows, matching the grid's gap class
+ *   overscan           - rows rendered beyond each edge of the viewport
+ *
+ * Returns { containerRef, columns, totalHeight, rows, measureRow, endReached }:
+ * attach containerRef to the container and give it totalHeight; render each of
+ * rows ([{ index, top, items: [itemIndex, ...] }]) at `top` with ref={measureRow(index)}.
+ * endReached is true once the last row is rendered, e.g. to load the next page.
+ */
+export const useVirtualGrid = (itemCount, { breakpoints = [], estimatedRowHeight = 400, gap = 0, overscan = 2 } = {}) => {
+  const [container, setContainer] = useState(null);
+  const [viewport, setViewport] = useState(() => ({ width: window.innerWidth, top: 0, height: window.innerHeight }));
+  const [, setMeasuredVersion] = useState(0);
+  const heightsRef = useRef(new Map());
+
+  // Scroll offset of the viewport relative to the container's top edge
+  useEffect(() => {
+    if (!container) return;
+    let frame = null;
+    const update = () => {
+      frame = null;
+      setViewport({
+        width: window.innerWidth,
+        top: -container.getBoundingClientRect().top,
+        height: window.innerHeight
+      });
+    };
+    const schedule = () => {
+      if (frame === null) frame = requestAnimationFrame(update);
+    };
+
+    update();
+    window.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule);
+    return () => {
+      window.removeEventListener('scroll', schedule);
+      window.removeEventListener('resize', schedule);
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, [container, itemCount]);
+
+  const columns = breakpoints.find(([minWidth]) => viewport.width >= minWidth)?.[1] ?? 1;
+  const rowCount = Math.ceil(itemCount / columns);
+
+  // Measurements only hold for the column count they were taken at
+  const heightOf = (index) => heightsRef.current.get(`${columns}:${index}`) ?? estimatedRowHeight;
+
+  const offsets = [];
+  let totalHeight = 0;
+  for (let index = 0; index < rowCount; index++) {
+    offsets.push(totalHeight);
+    totalHeight += heightOf(index) + (index < rowCount - 1 ? gap : 0);
+  }
+
+  let first = 0;
+  while (first < rowCount - 1 && offsets[first] + heightOf(first) < viewport.top) first++;
+  let last = first;
+  while (last < rowCount - 1 && offsets[last + 1] < viewport.top + viewport.height) last++;
+  first = Math.max(0, first - overscan);
+  last = Math.min(rowCount - 1, last + overscan);
+
+  const rows = [];
+  for (let index = first; index <= last && rowCount > 0; index++) {
+    const start = index * columns;
+    rows.push({
+      index,
+      top: offsets[index],
+      items: Array.from({ length: Math.min(columns, itemCount - start) }, (_, offset) => start + offset)
+    });
+  }
+
+  const measureRow = useCallback((index) => (element) => {
+    if (!element) return;
+    const key = `${columns}:${index}`;
+    const height = element.offsetHeight;
+    if (heightsRef.current.get(key) !== height) {
+      heightsRef.current.set(key, height);
+      setMeasuredVersion(version => version + 1);
+    }
+  }, [columns]);
+
+  return {
+    containerRef: setContainer,
+    columns,
+    totalHeight,
+    rows,
+    measureRow,
+    endReached: rowCount === 0 || last === rowCount - 1
+  };
+};
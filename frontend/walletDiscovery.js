@@ -0,0 +1,53 @@
+// Browser wallet discovery per EIP-6963: wallets announce themselves in response to a
+// request event, so several installed wallets can coexist instead of racing for
+// window.ethereum. A wallet that only injects window.ethereum is still offered as a fallback.
+
+const REMEMBERED_WALLET_KEY = 'blockvote:wallet';
+
+// Stands in for a pre-EIP-6963 wallet that only sets window.ethereum
+export const INJECTED_WALLET_RDNS = 'injected';
+
+const injectedWallet = () => ({
+  info: { uuid: INJECTED_WALLET_RDNS, name: 'Browser Wallet', icon: '', rdns: INJECTED_WALLET_RDNS },
+  provider: window.ethereum
+});
+
+/**
+ * Collect announced wallets. onChange(wallets) is called with the full list each time
+ * a new wallet announces; each wallet is { info: { uuid, name, icon, rdns }, provider }.
+ * Returns an unsubscribe function.
+ */
+export const discoverWallets = (onChange) => {
+  if (typeof window === 'undefined') return () => {};
+
+  const wallets = new Map(); // rdns -> wallet
+
+  const report = () => {
+    const announced = [...wallets.values()];
+    // Only offer window.ethereum when no announced wallet already is that provider
+    const injected = window.ethereum && !announced.some(wallet => wallet.provider === window.ethereum)
+      ? [injectedWallet()]
+      : [];
+    onChange([...announced, ...injected]);
+  };
+
+  const handleAnnounce = (event) => {
+    const { info, provider } = event.detail || {};
+    if (!info?.rdns || !provider) return;
+    wallets.set(info.rdns, { info, provider });
+    report();
+  };
+
+  window.addEventListener('eip6963:announceProvider', handleAnnounce);
+  window.dispatchEvent(new Event('eip6963:requestProvider'));
+  report();
+
+  return () => window.removeEventListener('eip6963:announceProvider', handleAnnounce);
+};
+
+// The last wallet the user connected with, so the next visit can reconnect silently
+export const rememberWallet = (rdns) => localStorage.setItem(REMEMBERED_WALLET_KEY, rdns);
+
+export const getRememberedWallet = () => localStorage.getItem(REMEMBERED_WALLET_KEY);
+
+export const forgetWallet = () => localStorage.removeItem(REMEMBERED_WALLET_KEY);
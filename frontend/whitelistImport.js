@@ -0,0 +1,135 @@
+import { ethers } from 'ethers';
+
+// Bulk whitelist edits for Election.addEligibleVoters / removeEligibleVoters.
+// Both loop on-chain, so large lists are split into batches sent as separate transactions.
+
+// Adding a voter costs roughly 25-30k gas, so 250 per batch stays well under a 30M block gas limit
+export const WHITELIST_BATCH_SIZE = 250;
+
+const JOB_STORAGE_PREFIX = 'blockvote:whitelist-job';
+
+// Strip surrounding whitespace and quotes from a CSV cell
+const cleanCell = (cell) => cell.trim().replace(/^["']|["']$/g, '').trim();
+
+/**
+ * Extract raw address entries from CSV/plain text or JSON.
+ * JSON may be an array of addresses, an array of { address } objects,
+ * or an object with a `voters` or `addresses` array.
+ */
+export const parseVoterFile = (text, fileName = '') => {
+  const trimmed = text.trim();
+  if (!trimmed) return [];
+
+  if (fileName.toLowerCase().endsWith('.json') || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const parsed = JSON.parse(trimmed);
+    const list = Array.isArray(parsed) ? parsed : parsed.voters || parsed.addresses;
+    if (!Array.isArray(list)) {
+      throw new Error('JSON must be an array of addresses or contain a "voters" array');
+    }
+    return list.map(entry => String(typeof entry === 'object' && entry !== null ? entry.address : entry).trim());
+  }
+
+  const entries = [];
+  trimmed.split(/\r?\n/).forEach((line, index) => {
+    const cells = line.split(/[,;\t]/).map(cleanCell).filter(Boolean);
+    if (cells.length === 0) return;
+
+    const addressCell = cells.find(cell => cell.toLowerCase().startsWith('0x'));
+    if (addressCell) {
+      entries.push(addressCell);
+    } else if (index > 0) {
+      // A first line without an address is treated as a header row
+      entries.push(line.trim());
+    }
+  });
+  return entries;
+};
+
+/**
+ * Validate and checksum raw entries.
+ * Returns { valid: checksummed unique addresses, invalid: rejected entries, duplicates: count }.
+ */
+export const normalizeVoterAddresses = (entries) => {
+  const valid = [];
+  const invalid = [];
+  const seen = new Set();
+  let duplicates = 0;
+
+  entries.forEach(entry => {
+    if (!ethers.isAddress(entry) || entry.toLowerCase() === ethers.ZeroAddress) {
+      invalid.push(entry);
+      return;
+    }
+    const address = ethers.getAddress(entry);
+    if (seen.has(address)) {
+      duplicates++;
+      return;
+    }
+    seen.add(address);
+    valid.push(address);
+  });
+
+  return { valid, invalid, duplicates };
+};
+
+export const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+// action is 'add' or 'remove'
+export const createWhitelistJob = ({ election, account, action, addresses, batchSize = WHITELIST_BATCH_SIZE }) => ({
+  election,
+  account,
+  action,
+  batches: chunk(addresses, batchSize),
+  completedBatches: 0,
+  txHashes: [],
+  createdAt: Date.now()
+});
+
+const jobStorageKey = (election, account) =>
+  `${JOB_STORAGE_PREFIX}:${election.toLowerCase()}:${account.toLowerCase()}`;
+
+export const saveWhitelistJob = (job) => {
+  localStorage.setItem(jobStorageKey(job.election, job.account), JSON.stringify(job));
+};
+
+export const loadWhitelistJob = (election, account) => {
+  const stored = localStorage.getItem(jobStorageKey(election, account));
+  return stored ? JSON.parse(stored) : null;
+};
+
+export const clearWhitelistJob = (election, account) => {
+  localStorage.removeItem(jobStorageKey(election, account));
+};
+
+/**
+ * Submit the remaining batches of a job in order, persisting progress after each one
+ * so a failed or interrupted import can resume from the first unconfirmed batch.
+ * submitBatch(addresses, index) resolves to the tx hash, or null if the batch failed.
+ * Resolves to the updated job; job.completedBatches === job.batches.length when done.
+ */
+export const runWhitelistJob = async (job, { submitBatch, onProgress }) => {
+  let current = job;
+  saveWhitelistJob(current);
+
+  for (let index = current.completedBatches; index < current.batches.length; index++) {
+    const hash = await submitBatch(current.batches[index], index);
+    if (!hash) return current;
+
+    current = {
+      ...current,
+      completedBatches: index + 1,
+      txHashes: [...current.txHashes, hash]
+    };
+    saveWhitelistJob(current);
+    onProgress?.(current);
+  }
+
+  clearWhitelistJob(current.election, current.account);
+  return current;
+};